@@ -0,0 +1,92 @@
+ObjC.import("Foundation");
+ObjC.import("stdlib");
+
+// Usage: osascript -l JavaScript scripts/build_snapshot.js <choosealicense.com/_licenses> [output file]
+// Run it from the workflow folder, which it loads src/lib from.
+const FILE_MANAGER = $.NSFileManager.defaultManager;
+const DEFAULT_OUTPUT = `${FILE_MANAGER.currentDirectoryPath.js}/data/licenses.json`;
+const GITHUB_API_URL = "https://api.github.com/licenses";
+const CHOOSEALICENSE_URL = "http://choosealicense.com/licenses";
+
+// Shared helpers and loadLib(), see src/lib/workflow.js
+(0, eval)($.NSString.stringWithContentsOfFileEncodingError(`${$.NSFileManager.defaultManager.currentDirectoryPath.js}/src/lib/workflow.js`, $.NSUTF8StringEncoding, $()).js);
+const { loadLib, readFile } = Workflow;
+
+// Custom templates use the same front matter as the choosealicense.com license files
+loadLib("templates");
+
+/**
+ * Converts a choosealicense license file into the GitHub license object shape
+ * @param {string} key - License key (file name without extension)
+ * @param {string} text - License file contents
+ * @returns {Object} License object
+ */
+function parseLicenseFile(key, text) {
+    const match = text.match(/^---\n([\s\S]*?)\n---\n\n?([\s\S]*)$/);
+    if (!match) throw new Error(`Missing front matter in ${key}`);
+
+    const { fields, errors } = Templates.parseFrontMatter(match[1]);
+    if (errors.length > 0) throw new Error(`Unsupported front matter in ${key}: ${errors.join(" ")}`);
+
+    return {
+        key,
+        name: fields.title,
+        spdx_id: fields["spdx-id"],
+        url: `${GITHUB_API_URL}/${key}`,
+        html_url: `${CHOOSEALICENSE_URL}/${key}/`,
+        description: fields.description || "",
+        implementation: fields.how || "",
+        permissions: fields.permissions || [],
+        conditions: fields.conditions || [],
+        limitations: fields.limitations || [],
+        body: match[2],
+        featured: fields.featured === true,
+        hidden: fields.hidden !== false,
+    };
+}
+
+/**
+ * Main entry point
+ * @param {string[]} argv - Path to the _licenses directory and optional output file
+ * @returns {string} Summary of the generated snapshot
+ */
+function run(argv) {
+    const licensesDir = (argv[0] || "").replace(/\/+$/, "");
+    const output = argv[1] || DEFAULT_OUTPUT;
+
+    if (!licensesDir) {
+        return "Usage: osascript -l JavaScript scripts/build_snapshot.js <_licenses directory> [output file]";
+    }
+
+    const names = ObjC.deepUnwrap(FILE_MANAGER.contentsOfDirectoryAtPathError(licensesDir, $())) || [];
+    const licenses = names
+        .filter(name => name.endsWith(".txt"))
+        .sort()
+        .map(name => parseLicenseFile(name.replace(/\.txt$/, ""), readFile(`${licensesDir}/${name}`)));
+
+    if (licenses.length === 0) {
+        return `No license files found in ${licensesDir}`;
+    }
+
+    const snapshot = {
+        generatedAt: new Date().toISOString(),
+        source: "choosealicense.com",
+        licenses,
+    };
+
+    FILE_MANAGER.createDirectoryAtPathWithIntermediateDirectoriesAttributesError(
+        $(output.replace(/\/[^/]+$/, "")),
+        true,
+        $(),
+        $()
+    );
+
+    $.NSString.stringWithString(JSON.stringify(snapshot, null, 2)).writeToFileAtomicallyEncodingError(
+        output,
+        true,
+        $.NSUTF8StringEncoding,
+        $()
+    );
+
+    return `Wrote ${licenses.length} licenses to ${output}`;
+}
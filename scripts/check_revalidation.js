@@ -0,0 +1,200 @@
+// End-to-end check of the cache revalidation against scripts/mock_github_api.js.
+// Usage: node scripts/check_revalidation.js
+// Runs src/refresh_cache.js with osascript, so it needs macOS. Exits with 1 if a check fails.
+//
+// 1. A first refresh gets the license list with a 200 and caches its ETag.
+// 2. A second refresh sends that ETag as If-None-Match, gets a 304, keeps the ETag and moves fetchedAt.
+// 3. A refresh against a rate limited mock fails and leaves the cache as it was.
+
+const { spawn, spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..");
+const MOCK_SCRIPT = path.join(__dirname, "mock_github_api.js");
+const REFRESH_SCRIPT = "src/refresh_cache.js";
+const LIST_CACHE_FILE = "list-licenses.json";
+const START_TIMEOUT = 5000; // milliseconds
+const REFRESH_TIMEOUT = 120000; // milliseconds
+
+const failures = [];
+
+/**
+ * Records a failed check
+ * @param {boolean} condition - True if the check passed
+ * @param {string} message - What was expected
+ */
+function check(condition, message) {
+    console.log(`${condition ? "ok" : "FAIL"} - ${message}`);
+    if (!condition) failures.push(message);
+}
+
+/**
+ * Starts the mock API on a free port
+ * @param {Object} env - Extra environment variables (e.g., MOCK_RATE_LIMIT)
+ * @returns {Promise<{child: ChildProcess, port: number, log: string[]}>} Server process, its port and the requests it logged
+ */
+function startMock(env = {}) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [MOCK_SCRIPT, "0"], { env: { ...process.env, ...env }, stdio: ["ignore", "pipe", "inherit"] });
+        const log = [];
+        let buffer = "";
+
+        const timer = setTimeout(() => {
+            stopMock(child);
+            reject(new Error("The mock API did not start"));
+        }, START_TIMEOUT);
+
+        child.stdout.on("data", chunk => {
+            buffer += chunk;
+            const lines = buffer.split("\n");
+            buffer = lines.pop();
+
+            for (const line of lines) {
+                const started = line.match(/^Mock GitHub licenses API on http:\/\/localhost:(\d+)/);
+
+                if (started) {
+                    clearTimeout(timer);
+                    resolve({ child, port: Number(started[1]), log });
+                } else {
+                    log.push(line);
+                }
+            }
+        });
+
+        child.on("exit", code => {
+            clearTimeout(timer);
+            reject(new Error(`The mock API exited with code ${code}`));
+        });
+    });
+}
+
+/**
+ * Stops the mock API by its PID
+ * @param {ChildProcess} child - Server process
+ */
+function stopMock(child) {
+    if (child.exitCode !== null) return;
+
+    child.removeAllListeners("exit");
+    process.kill(child.pid);
+}
+
+/**
+ * Runs src/refresh_cache.js force against the mock API
+ * @param {number} port - Mock API port
+ * @param {string} cacheDir - Cache folder
+ * @returns {string} Refresh summary
+ */
+function refresh(port, cacheDir) {
+    const result = spawnSync("osascript", ["-l", "JavaScript", REFRESH_SCRIPT, "force"], {
+        cwd: ROOT,
+        encoding: "utf8",
+        timeout: REFRESH_TIMEOUT,
+        env: { ...process.env, alfred_workflow_cache: cacheDir, api_base_url: `http://localhost:${port}`, locale: "en" },
+    });
+
+    if (result.error) throw result.error;
+
+    return `${result.stdout}${result.stderr}`.trim();
+}
+
+/**
+ * Reads the cached license list envelope
+ * @param {string} cacheDir - Cache folder
+ * @returns {Object|null} Envelope or null
+ */
+function readListCache(cacheDir) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(cacheDir, LIST_CACHE_FILE), "utf8"));
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Waits for the mock to log the requests of a refresh, which it does once each response is sent
+ * @param {string[]} log - Request log of the mock
+ * @param {number} from - Log length before the refresh
+ * @returns {Promise<string[]>} Requests logged since then
+ */
+function waitForLog(log, from) {
+    return new Promise(resolve => setTimeout(() => resolve(log.slice(from)), 200));
+}
+
+/**
+ * Finds the logged request of the license list
+ * @param {string[]} lines - Request log lines
+ * @returns {{status: number, etag: string|null}|null} Response status and the If-None-Match it was sent, or null
+ */
+function listRequest(lines) {
+    const line = lines.find(l => /^GET \/licenses \d{3} /.test(l));
+    if (!line) return null;
+
+    const [, status, etag] = line.match(/^GET \/licenses (\d{3}) If-None-Match: (.*)$/);
+    return { status: Number(status), etag: etag === "-" ? null : etag };
+}
+
+/**
+ * Main entry point
+ */
+async function main() {
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "choosealicense-check-"));
+    let mock = null;
+
+    try {
+        // 200, then 304 with the cached ETag
+        mock = await startMock();
+
+        const first = refresh(mock.port, cacheDir);
+        const firstRequests = await waitForLog(mock.log, 0);
+        const firstList = listRequest(firstRequests);
+        const cached = readListCache(cacheDir);
+
+        console.log(`First refresh: ${first}`);
+        check(firstList && firstList.status === 200 && !firstList.etag, "first refresh gets the list with a 200 and no If-None-Match");
+        check(cached && cached.etag, "first refresh caches the list ETag");
+
+        const second = refresh(mock.port, cacheDir);
+        const secondRequests = await waitForLog(mock.log, firstRequests.length);
+        const secondList = listRequest(secondRequests);
+        const revalidated = readListCache(cacheDir);
+
+        console.log(`Second refresh: ${second}`);
+        check(secondList && cached && secondList.etag === cached.etag, "second refresh sends the cached ETag as If-None-Match");
+        check(secondList && secondList.status === 304, "second refresh gets a 304");
+        check(secondRequests.every(line => / 304 /.test(line)), "every revalidated resource is unchanged");
+        check(revalidated && cached && revalidated.etag === cached.etag, "the 304 keeps the cached ETag");
+        check(revalidated && cached && revalidated.fetchedAt > cached.fetchedAt, "the 304 moves fetchedAt forward");
+
+        stopMock(mock.child);
+
+        // Rate limit
+        mock = await startMock({ MOCK_RATE_LIMIT: "1" });
+
+        const limited = refresh(mock.port, cacheDir);
+        const limitedRequests = await waitForLog(mock.log, 0);
+        const afterLimit = readListCache(cacheDir);
+
+        console.log(`Rate limited refresh: ${limited}`);
+        check(limitedRequests.length === 1 && / 403 /.test(limitedRequests[0]), "a rate limited refresh stops after the first 403");
+        check(/failed \(GitHub API rate limit exceeded\)/.test(limited), "a rate limited refresh reports the rate limit");
+        check(afterLimit && revalidated && afterLimit.etag === revalidated.etag && afterLimit.fetchedAt === revalidated.fetchedAt, "a rate limited refresh leaves the cache as it was");
+    } finally {
+        if (mock) stopMock(mock.child);
+        fs.rmSync(cacheDir, { recursive: true, force: true });
+    }
+
+    if (failures.length > 0) {
+        console.error(`\n${failures.length} check(s) failed`);
+        process.exit(1);
+    }
+
+    console.log("\nAll checks passed");
+}
+
+main().catch(e => {
+    console.error(e.message);
+    process.exit(1);
+});
@@ -0,0 +1,96 @@
+// Local stand-in for the GitHub licenses API, for testing cache revalidation.
+// Usage: node scripts/mock_github_api.js [port] [snapshot file]
+// Port 0 picks a free port. Then run the workflow scripts with api_base_url=http://localhost:<port>
+// Set MOCK_RATE_LIMIT=1 to answer every request with GitHub's rate limit error.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const PORT = process.argv[2] === undefined ? 8787 : Number(process.argv[2]);
+const SNAPSHOT_FILE = process.argv[3] || path.join(__dirname, "..", "data", "licenses.json");
+
+/**
+ * Loads the licenses served by the stand-in, exiting with a message if the snapshot can't be read
+ * @returns {Object[]} License objects
+ */
+function loadLicenses() {
+    try {
+        const { licenses } = JSON.parse(fs.readFileSync(SNAPSHOT_FILE, "utf8"));
+        if (!Array.isArray(licenses)) throw new Error("no licenses array");
+
+        return licenses;
+    } catch (e) {
+        console.error(`Cannot load licenses from ${SNAPSHOT_FILE}: ${e.message}`);
+        console.error("Pass a snapshot file built with scripts/build_snapshot.js as the second argument.");
+        process.exit(1);
+    }
+}
+
+// Loaded once, restart the server to serve a changed snapshot
+const LICENSES = loadLicenses();
+
+/**
+ * Sends JSON with an ETag, or 304 when the client already has it
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {*} value - Value to serialize
+ */
+function sendJson(req, res, value) {
+    const body = JSON.stringify(value);
+    const etag = `"${crypto.createHash("sha1").update(body).digest("hex")}"`;
+
+    if (req.headers["if-none-match"] === etag) {
+        res.writeHead(304, { ETag: etag });
+        res.end();
+        return;
+    }
+
+    res.writeHead(200, { "Content-Type": "application/json", ETag: etag });
+    res.end(body);
+}
+
+const server = http.createServer((req, res) => {
+    const match = req.url.match(/^\/licenses(?:\/([^/?]+))?\/?(?:\?.*)?$/);
+
+    res.on("finish", () => {
+        console.log(`${req.method} ${req.url} ${res.statusCode} If-None-Match: ${req.headers["if-none-match"] || "-"}`);
+    });
+
+    if (process.env.MOCK_RATE_LIMIT === "1") {
+        res.writeHead(403, {
+            "Content-Type": "application/json",
+            "X-RateLimit-Limit": "60",
+            "X-RateLimit-Remaining": "0",
+            "X-RateLimit-Reset": Math.floor(Date.now() / 1000 + 3600).toString(),
+        });
+        res.end(JSON.stringify({ message: "API rate limit exceeded" }));
+        return;
+    }
+
+    if (!match) {
+        res.writeHead(404, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ message: "Not Found" }));
+        return;
+    }
+
+    if (!match[1]) {
+        sendJson(req, res, LICENSES.filter(l => !l.hidden).map(({ key, name, spdx_id, url }) => ({ key, name, spdx_id, url })));
+        return;
+    }
+
+    const license = LICENSES.find(l => l.key === match[1]);
+
+    if (!license) {
+        res.writeHead(404, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ message: "Not Found" }));
+        return;
+    }
+
+    sendJson(req, res, license);
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock GitHub licenses API on http://localhost:${server.address().port}`);
+});
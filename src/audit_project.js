@@ -0,0 +1,282 @@
+ObjC.import("Foundation");
+ObjC.import("stdlib");
+
+const CACHE_NAME = "used-licenses";
+const LICENSE_FILE_PATTERN = /^(LICEN[CS]E|COPYING|UNLICENSE)([-.].*)?$/i;
+const SPDX_HEADER_PATTERN = /SPDX-License-Identifier:\s*([^\n*]+?)\s*(?:\*\/|-->|$)/m;
+const HEADER_BYTES = 2048;
+const MAX_SCANNED_FILES = 5000;
+
+// Folders that hold other projects' code or build output
+const SKIPPED_DIRS = [".git", ".hg", ".svn", "node_modules", "vendor", "dist", "build", "target", ".venv", "venv", "__pycache__"];
+
+// Extensions of source files checked for SPDX headers
+const SOURCE_EXTENSIONS = [
+    "c", "cc", "cjs", "clj", "cpp", "cs", "css", "dart", "el", "erl", "ex", "exs", "go", "h", "hpp", "hs",
+    "html", "java", "js", "jsx", "kt", "lua", "m", "mjs", "php", "pl", "py", "r", "rb", "rs", "scala", "scss",
+    "sh", "sql", "svelte", "swift", "ts", "tsx", "vue", "xml", "yaml", "yml",
+];
+
+// Workflow configuration - initialized once globally
+const FILE_MANAGER = $.NSFileManager.defaultManager;
+
+// Shared helpers and loadLib(), see src/lib/workflow.js
+(0, eval)($.NSString.stringWithContentsOfFileEncodingError(`${$.NSFileManager.defaultManager.currentDirectoryPath.js}/src/lib/workflow.js`, $.NSUTF8StringEncoding, $()).js);
+const { loadLib, getVariable, isDirectory, readFile } = Workflow;
+
+loadLib("cache");
+loadLib("dependencies");
+loadLib("identify");
+
+/**
+ * Reads the start of a file, where license headers are
+ * @param {string} path - File path
+ * @returns {string} First HEADER_BYTES of the file, or empty string
+ */
+function readHeader(path) {
+    const handle = $.NSFileHandle.fileHandleForReadingAtPath(path);
+    if (!handle || handle.isNil()) return "";
+
+    const data = handle.readDataOfLength(HEADER_BYTES);
+    handle.closeFile;
+
+    // A multi-byte character cut at the end makes the whole decode fail, so fall back to Latin-1
+    const text = $.NSString.alloc.initWithDataEncoding(data, $.NSUTF8StringEncoding);
+    return (text && !text.isNil() ? text : $.NSString.alloc.initWithDataEncoding(data, $.NSISOLatin1StringEncoding)).js || "";
+}
+
+/**
+ * Gets the licenses with a body to match against
+ * @returns {Object[]} Cached licenses, then bundled ones that aren't cached
+ */
+function getKnownLicenses() {
+    const cached = Cache.read(CACHE_NAME);
+    const snapshot = Cache.readSnapshot();
+    const licenses = cached ? cached.data : [];
+
+    for (const license of snapshot ? snapshot.licenses : []) {
+        if (!licenses.some(l => l.key === license.key)) {
+            licenses.push(license);
+        }
+    }
+
+    return licenses.filter(license => license.body);
+}
+
+/**
+ * Identifies the license files at the top of a project
+ * @param {string} dir - Project folder
+ * @param {Object[]} licenses - Known licenses with a body
+ * @returns {Object[]} Findings ({file, license, confidence, level})
+ */
+function scanLicenseFiles(dir, licenses) {
+    const names = ObjC.deepUnwrap(FILE_MANAGER.contentsOfDirectoryAtPathError(dir, $())) || [];
+
+    return names
+        .filter(name => LICENSE_FILE_PATTERN.test(name) && !isDirectory(`${dir}/${name}`))
+        .sort()
+        .map(name => ({ file: name, ...Identify.identify(readFile(`${dir}/${name}`) || "", licenses) }));
+}
+
+/**
+ * Reads the license declared in package.json
+ * @param {string} dir - Project folder
+ * @returns {{expression: string|null, error: string|null}|null} Declared expression, or null without a package.json
+ */
+function readPackageLicense(dir) {
+    const text = readFile(`${dir}/package.json`);
+    if (text === null) return null;
+
+    let pkg;
+    try {
+        pkg = JSON.parse(text);
+    } catch (e) {
+        return { expression: null, error: "package.json is not valid JSON." };
+    }
+
+    return { expression: Dependencies.declaredLicense(pkg), error: null };
+}
+
+/**
+ * Collects the SPDX-License-Identifier headers of the project's source files
+ * @param {string} dir - Project folder
+ * @returns {{headers: Object, scanned: number, withoutHeader: number, truncated: boolean}} File count by expression, and totals
+ */
+function scanSpdxHeaders(dir) {
+    const enumerator = FILE_MANAGER.enumeratorAtPath(dir);
+    const headers = {};
+    let scanned = 0;
+    let withoutHeader = 0;
+    let path;
+
+    while ((path = ObjC.unwrap(enumerator.nextObject)) !== undefined && path !== null) {
+        const name = path.split("/").pop();
+
+        if (SKIPPED_DIRS.includes(name)) {
+            enumerator.skipDescendants;
+            continue;
+        }
+
+        const extension = name.includes(".") ? name.split(".").pop().toLowerCase() : "";
+        if (!SOURCE_EXTENSIONS.includes(extension)) continue;
+
+        if (scanned >= MAX_SCANNED_FILES) {
+            return { headers, scanned, withoutHeader, truncated: true };
+        }
+
+        scanned++;
+        const match = readHeader(`${dir}/${path}`).match(SPDX_HEADER_PATTERN);
+
+        if (match) {
+            headers[match[1]] = (headers[match[1]] || 0) + 1;
+        } else {
+            withoutHeader++;
+        }
+    }
+
+    return { headers, scanned, withoutHeader, truncated: false };
+}
+
+/**
+ * Compares the licenses found in each place
+ * @param {Object[]} files - Identified license files
+ * @param {Object|null} pkg - Result of readPackageLicense()
+ * @param {Object} spdx - Result of scanSpdxHeaders()
+ * @returns {string[]} Mismatch descriptions
+ */
+function findMismatches(files, pkg, spdx) {
+    const mismatches = [];
+    const identified = files.filter(file => file.level !== "none");
+    const fileIds = identified.map(file => Identify.baseId(file.license.spdx_id));
+    const fileNames = identified.map(file => `${file.file} is ${file.license.spdx_id}`).join(", ");
+
+    if (files.length === 0) {
+        mismatches.push("No LICENSE or COPYING file found.");
+    }
+
+    if (pkg && pkg.expression && identified.length > 0) {
+        const pkgIds = Identify.expressionIds(pkg.expression);
+        const undeclared = identified.filter(file => !pkgIds.some(id => Identify.baseId(id) === Identify.baseId(file.license.spdx_id)));
+        const unmatched = pkgIds.filter(id => !fileIds.includes(Identify.baseId(id)));
+
+        if (unmatched.length > 0) {
+            mismatches.push(`package.json says ${pkg.expression}, but ${fileNames}.`);
+        } else if (undeclared.length > 0) {
+            const names = undeclared.map(file => `${file.file} is ${file.license.spdx_id}`).join(", ");
+            mismatches.push(`${names}, but package.json only says ${pkg.expression}.`);
+        }
+    } else if (pkg && !pkg.expression && !pkg.error) {
+        mismatches.push("package.json has no license field.");
+    }
+
+    for (const [expression, count] of Object.entries(spdx.headers)) {
+        const unknown = Identify.expressionIds(expression).filter(id => identified.length > 0 && !fileIds.includes(Identify.baseId(id)));
+
+        if (unknown.length > 0) {
+            mismatches.push(`SPDX headers declare ${expression} (${count} files), which no license file matches.`);
+        }
+    }
+
+    return mismatches;
+}
+
+/**
+ * Describes how sure an identification is
+ * @param {Object} finding - License file finding
+ * @returns {string} Markdown description
+ */
+function describeFinding(finding) {
+    const percent = `${Math.round(finding.confidence * 100)}%`;
+
+    if (finding.level === "high") {
+        return `**${finding.license.spdx_id}** (${finding.license.name}), ${percent} match`;
+    }
+
+    if (finding.level === "low") {
+        return `probably **${finding.license.spdx_id}** (${finding.license.name}), ${percent} match. The text was modified or has extra terms.`;
+    }
+
+    return finding.license
+        ? `not recognized. Closest is ${finding.license.spdx_id} at ${percent}.`
+        : "not recognized.";
+}
+
+/**
+ * Generates the audit report
+ * @param {string} dir - Project folder
+ * @param {Object[]} files - Identified license files
+ * @param {Object|null} pkg - Result of readPackageLicense()
+ * @param {Object} spdx - Result of scanSpdxHeaders()
+ * @param {string[]} mismatches - Result of findMismatches()
+ * @returns {string} Markdown formatted string
+ */
+function generateReport(dir, files, pkg, spdx, mismatches) {
+    const sections = [];
+
+    // Title
+    sections.push(`# License audit of ${dir.split("/").pop()}\n`);
+
+    // Mismatches
+    if (mismatches.length > 0) {
+        sections.push(`⚠️ **Mismatches**\n\n${mismatches.map(text => `- ${text}`).join("\n")}\n`);
+    } else {
+        sections.push("✅ The license files, package.json and source headers agree.\n");
+    }
+
+    // License files
+    if (files.length > 0) {
+        const lines = files.map(finding => `- \`${finding.file}\`: ${describeFinding(finding)}`);
+        sections.push(`📄 **License Files**\n\n${lines.join("\n")}\n`);
+    }
+
+    // package.json
+    if (pkg) {
+        const text = pkg.error || (pkg.expression ? `\`${pkg.expression}\`` : "No license field.");
+        sections.push(`📦 **package.json**\n\n${text}\n`);
+    }
+
+    // SPDX headers
+    const expressions = Object.entries(spdx.headers).sort((a, b) => b[1] - a[1]);
+    const headerLines = expressions.map(([expression, count]) => `- \`${expression}\`: ${count} files`);
+
+    if (spdx.withoutHeader > 0) {
+        headerLines.push(`- No SPDX header: ${spdx.withoutHeader} files`);
+    }
+
+    if (spdx.truncated) {
+        headerLines.push(`- Stopped after ${MAX_SCANNED_FILES} files`);
+    }
+
+    sections.push(`🏷️ **SPDX Headers**\n\n${headerLines.length > 0 ? headerLines.join("\n") : "No source files found."}\n`);
+
+    // Footer
+    sections.push(`---\n\nScanned ${spdx.scanned} source files in \`${dir}\`.`);
+
+    return sections.join("\n");
+}
+
+/**
+ * Main entry point for Alfred Run Script
+ * @param {string[]} argv - Command line arguments (project folder from a File Action)
+ * @returns {string} Markdown report for the Text Viewer
+ */
+function run(argv) {
+    // Folder from a File Action, falling back to the configured default
+    const dir = ((argv[0] || "").trim() || getVariable("license_dir") || getVariable("default_license_dir")).replace(/\/+$/, "");
+
+    if (!dir || !isDirectory(dir)) {
+        return `# Error\n\nFolder "${dir}" does not exist or is not a directory.`;
+    }
+
+    const licenses = getKnownLicenses();
+
+    if (licenses.length === 0) {
+        return "# Error\n\nNo license texts to compare with. Use a license once or bundle data/licenses.json, then try again.";
+    }
+
+    const files = scanLicenseFiles(dir, licenses);
+    const pkg = readPackageLicense(dir);
+    const spdx = scanSpdxHeaders(dir);
+
+    return generateReport(dir, files, pkg, spdx, findMismatches(files, pkg, spdx));
+}
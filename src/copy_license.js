@@ -0,0 +1,65 @@
+ObjC.import("AppKit");
+ObjC.import("Foundation");
+ObjC.import("stdlib");
+
+// Pasteboard types of the rich text output formats
+const PASTEBOARD_TYPES = {
+    html: "public.html",
+    rtf: "public.rtf",
+};
+const PLAIN_TEXT_TYPE = "public.utf8-plain-text";
+
+// Workflow configuration - initialized once globally
+const ENV = $.NSProcessInfo.processInfo.environment;
+
+// Shared helpers and loadLib(), see src/lib/workflow.js
+(0, eval)($.NSString.stringWithContentsOfFileEncodingError(`${$.NSFileManager.defaultManager.currentDirectoryPath.js}/src/lib/workflow.js`, $.NSUTF8StringEncoding, $()).js);
+const { loadLib, getVariable } = Workflow;
+
+loadLib("result");
+loadLib("i18n");
+
+/**
+ * Pastes the clipboard on the frontmost app
+ */
+function paste() {
+    Application("System Events").keystroke("v", { using: "command down" });
+}
+
+/**
+ * Main entry point for Alfred Run Script, the copy and paste step after process_license.js
+ * @param {string[]} argv - Command line arguments (text from process_license.js, HTML or RTF for rich text)
+ * @returns {string} Notification text
+ */
+function run(argv) {
+    const content = argv[0] || "";
+    const format = getVariable("output_format");
+    const type = PASTEBOARD_TYPES[format];
+    const result = Result.read();
+
+    // Leave the clipboard alone and say what went wrong
+    if (result.status === "error") {
+        return result.error || I18n.t("copy.failed");
+    }
+
+    if (!content) {
+        return I18n.t("copy.nothing");
+    }
+
+    // Rich editors paste the formatted version, plain text fields the original text
+    const pasteboard = $.NSPasteboard.generalPasteboard;
+    pasteboard.clearContents;
+    if (type) {
+        pasteboard.setStringForType($(content), $(type));
+    }
+    pasteboard.setStringForType($(type ? ObjC.unwrap(ENV.objectForKey("plain_text")) || content : content), $(PLAIN_TEXT_TYPE));
+
+    const name = getVariable("spdx_id_license") || I18n.t("copy.license");
+
+    if (getVariable("paste_license") === "1") {
+        paste();
+        return "";
+    }
+
+    return type ? I18n.t("copy.copied_as", { name, format: format.toUpperCase() }) : I18n.t("copy.copied", { name });
+}
@@ -1,117 +1,397 @@
 ObjC.import("Foundation");
 ObjC.import("stdlib");
 
-// Cache configuration - initialized once globally
-const ENV = $.NSProcessInfo.processInfo.environment;
-const WORKFLOW_CACHE = ObjC.unwrap(ENV.objectForKey("alfred_workflow_cache"));
-const CACHE_DIR = WORKFLOW_CACHE || "/tmp/alfred-choosealicense-cache";
-const FILE_MANAGER = $.NSFileManager.defaultManager;
-const CACHE_FILE = `${CACHE_DIR}/used-licenses.json`;
+const CACHE_NAME = "used-licenses";
+const CACHE_STATUS_NAMES = ["list-licenses", "used-licenses"];
+
+// Rule lists shown in the comparison table, with the icons of their headings
+const COMPARISON_SECTIONS = [
+    ["permissions", "🟢"],
+    ["conditions", "🔵"],
+    ["limitations", "🔴"],
+];
+
+// Shared helpers and loadLib(), see src/lib/workflow.js
+(0, eval)($.NSString.stringWithContentsOfFileEncodingError(`${$.NSFileManager.defaultManager.currentDirectoryPath.js}/src/lib/workflow.js`, $.NSUTF8StringEncoding, $()).js);
+const { loadLib, getVariable } = Workflow;
+
+loadLib("cache");
+loadLib("compatibility");
+loadLib("templates");
+loadLib("rules");
+loadLib("result");
+loadLib("i18n");
 
 /**
- * Reads and parses JSON from cache file
- * @param {string} cacheFile - Cache file path
- * @returns {Object[]|null} Parsed cache array or null
+ * Gets a license from the custom templates, the cache or the bundled snapshot (without API fallback)
+ * @param {string} licenseKey - License key to retrieve
+ * @param {string} cacheName - Cache name
+ * @returns {Object|null} License object or null
  */
-function readCache(cacheFile) {
-    try {
-        const data = $.NSData.dataWithContentsOfFile(cacheFile);
-        if (!data) return null;
+function getLicense(licenseKey, cacheName) {
+    const template = Templates.find(licenseKey);
+    if (template) return template;
 
-        const jsonString = $.NSString.alloc.initWithDataEncoding(data, $.NSUTF8StringEncoding).js;
-        const cache = JSON.parse(jsonString);
+    const cached = Cache.read(cacheName);
+    const snapshot = Cache.readSnapshot();
 
-        return Array.isArray(cache) ? cache : null;
-    } catch (e) {
-        return null;
-    }
+    return (cached && cached.data.find(license => license.key === licenseKey))
+        || (snapshot && snapshot.licenses.find(license => license.key === licenseKey))
+        || null;
 }
 
 /**
- * Gets a license from cache (without API fallback)
- * @param {string} licenseKey - License key to retrieve
- * @param {string} cacheFile - Cache file path
- * @returns {Object|null} License object or null
+ * Formats rules as a bullet list with their official labels and descriptions
+ * @param {string} type - "permissions", "conditions" or "limitations"
+ * @param {string[]} tags - Rule tags
+ * @returns {string} Formatted bullet list
  */
-function getLicense(licenseKey, cacheFile) {
-    const cache = readCache(cacheFile) || [];
-    return cache.find(license => license.key === licenseKey) || null;
+function formatRules(type, tags) {
+    if (!tags || tags.length === 0) return "";
+
+    return tags
+        .map(tag => {
+            const { label, description } = Rules.describe(type, tag);
+            return description ? `- **${label}**: ${description}` : `- **${label}**`;
+        })
+        .join("\n");
 }
 
 /**
- * Capitalizes each word in a string
- * @param {string} text - Text with hyphens
- * @returns {string} Capitalized text
+ * Escapes text so Markdown shows it as is
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
  */
-function capitalizeWords(text) {
+function escapeMarkdown(text) {
     return text
-        .replace(/-/g, " ")
-        .split(" ")
-        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-        .join(" ");
+        .replace(/[\\`*_[\]<>#|~]/g, "\\$&")
+        .replace(/^(\d+)\./, "$1\\.")
+        .replace(/^([-+])/, "\\$1");
 }
 
 /**
- * Formats array items as bullet list with each word capitalized
- * @param {string[]} items - Array of items
- * @returns {string} Formatted bullet list
+ * Formats the license body as Markdown, highlighting the filled-in values and the unfilled placeholders
+ * @param {string} body - Processed license body text
+ * @param {Object[]} substitutions - Placeholders replaced by process_license.js ({token, field, value})
+ * @param {string[]} unfilled - Placeholders left in the body
+ * @returns {string} Markdown with one hard line break per line of the license
+ */
+function formatBody(body, substitutions, unfilled) {
+    const values = [...new Set(substitutions.map(substitution => substitution.value).filter(Boolean))];
+    const marks = [...values, ...unfilled].sort((a, b) => b.length - a.length);
+    const pattern = marks.length > 0
+        ? new RegExp(`(${marks.map(mark => mark.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|")})`)
+        : null;
+
+    const formatLine = (line) => {
+        // Leading indentation would turn into a code block
+        const parts = pattern ? line.trim().split(pattern) : [line.trim()];
+
+        return parts
+            .map((part, i) => {
+                if (i % 2 === 0) return escapeMarkdown(part);
+                return unfilled.includes(part) ? `\`${part}\` ⚠️` : `**${escapeMarkdown(part)}**`;
+            })
+            .join("");
+    };
+
+    return body
+        .replace(/\r\n/g, "\n")
+        .split(/\n\s*\n/)
+        .map(paragraph => paragraph.split("\n").filter(line => line.trim()).map(formatLine).join("  \n"))
+        .filter(Boolean)
+        .join("\n\n");
+}
+
+/**
+ * Generates the section on how to apply the license to a project
+ * @param {Object} license - License object from cache
+ * @param {Object} apply - How to apply it ({fileName, header, standardHeader})
+ * @returns {string} Markdown section
  */
-function formatList(items) {
-    if (!items || items.length === 0) return "";
+function generateHowToApply(license, apply) {
+    const lines = [];
 
-    // Pre-allocate array for better performance
-    const formatted = new Array(items.length);
+    lines.push(license.implementation || I18n.t("view.create_file", { file: apply.fileName }));
 
-    for (let i = 0; i < items.length; i++) {
-        formatted[i] = `- ${capitalizeWords(items[i])}`;
+    if (apply.header) {
+        const intro = apply.standardHeader
+            ? I18n.t("view.header_standard", { id: license.spdx_id })
+            : I18n.t("view.header_spdx", { id: license.spdx_id });
+
+        lines.push(`${intro}\n\n\`\`\`\n${apply.header}\n\`\`\``);
     }
 
-    return formatted.join("\n");
+    return `📋 **${I18n.t("view.how_to_apply")}**\n\n${lines.join("\n\n")}\n`;
+}
+
+/**
+ * Generates the section with an unofficial translation of the license, filled in like the English body
+ * @param {Object} translation - Translation from I18n.readTranslation() ({text, language})
+ * @param {Object[]} substitutions - Placeholders replaced by process_license.js ({token, field, value})
+ * @param {string[]} unfilled - Placeholders left in the English body
+ * @returns {string} Markdown section
+ */
+function generateTranslation(translation, substitutions, unfilled) {
+    // Translations keep the placeholders of the English text, so the same values fill them
+    const text = substitutions.reduce((filled, { token, value }) => filled.split(token).join(value), translation.text);
+
+    return `🌐 **${I18n.t("view.translation", { language: translation.language })}**\n\n> ${I18n.t("view.translation_note")}\n\n${formatBody(text, substitutions, unfilled)}\n`;
 }
 
 /**
  * Generates Markdown from license data
  * @param {Object} license - License object from cache
  * @param {string} body - Processed license body text
- * @returns {string} Markdown formatted string
+ * @param {string[]} unfilled - Placeholders left in the body
+ * @param {Object} [details] - Warnings, substitutions made in the body, how to apply the license and an unofficial translation ({warnings, substitutions, apply, translation}), if known
+ * @returns {string} Markdown formatted string in the configured locale
  */
-function generateMarkdown(license, body) {
+function generateMarkdown(license, body, unfilled = [], details = {}) {
     const sections = [];
 
     // Title
     sections.push(`# ${license.name}\n`);
 
+    // Custom templates aren't reviewed by choosealicense.com
+    if (license.custom) {
+        sections.push(`🏢 **${I18n.t("view.custom")}**\n\n${I18n.t("view.custom_text", { path: license.path })}\n`);
+    }
+
+    // Warnings from process_license.js, such as an offline fallback
+    if (details.warnings?.length > 0) {
+        sections.push(`⚠️ **${I18n.t("view.warnings")}**\n\n${details.warnings.map(warning => `- ${warning}`).join("\n")}\n`);
+    }
+
+    // Unfilled placeholders
+    if (unfilled.length > 0) {
+        const tokens = unfilled.map(token => `- \`${token}\``).join("\n");
+        sections.push(`⚠️ **${I18n.t("view.unfilled")}**\n\n${I18n.t("view.unfilled_text")}\n\n${tokens}\n`);
+    }
+
     // Description
     if (license.description) {
-        sections.push(`**Description**\n\n${license.description}\n`);
+        sections.push(`**${I18n.t("view.description")}**\n\n${license.description}\n`);
     }
 
     // Permissions
     if (license.permissions?.length > 0) {
-        sections.push(`🟢 **Permissions**\n\n${formatList(license.permissions)}\n`);
+        sections.push(`🟢 **${I18n.t("view.permissions")}**\n\n${formatRules("permissions", license.permissions)}\n`);
     }
 
     // Conditions
     if (license.conditions?.length > 0) {
-        sections.push(`🔵 **Conditions**\n\n${formatList(license.conditions)}\n`);
+        sections.push(`🔵 **${I18n.t("view.conditions")}**\n\n${formatRules("conditions", license.conditions)}\n`);
     }
 
     // Limitations
     if (license.limitations?.length > 0) {
-        sections.push(`🔴 **Limitations**\n\n${formatList(license.limitations)}\n`);
+        sections.push(`🔴 **${I18n.t("view.limitations")}**\n\n${formatRules("limitations", license.limitations)}\n`);
+    }
+
+    // How to apply
+    if (details.apply) {
+        sections.push(generateHowToApply(license, details.apply));
     }
 
-    // License body
-    sections.push(`**License Text**\n\n\`\`\`\n${body}\n\`\`\`\n`);
+    // License body, with the filled-in values in bold
+    const substitutions = details.substitutions || [];
+    const note = substitutions.length > 0 || unfilled.length > 0
+        ? `${I18n.t("view.highlight_note")}\n\n`
+        : "";
+
+    sections.push(`**${I18n.t("view.license_text")}**\n\n${note}${formatBody(body, substitutions, unfilled)}\n`);
+
+    // Unofficial translation, after the English text that is legally binding
+    if (details.translation) {
+        sections.push(generateTranslation(details.translation, substitutions, unfilled));
+    }
 
     // Footer
     if (license.html_url) {
-        sections.push(`---\n\n[View on ChooseALicense.com](${license.html_url})`);
+        sections.push(`---\n\n[${I18n.t("view.view_on_site")}](${license.html_url})`);
+    }
+
+    return sections.join("\n");
+}
+
+/**
+ * Builds a short error page
+ * @param {string} message - What went wrong
+ * @returns {string} Markdown formatted string
+ */
+function errorPage(message) {
+    return `# ${I18n.t("view.error")}\n\n${message}`;
+}
+
+/**
+ * Generates the page shown when process_license.js could not process a license
+ * @param {Object} result - Result from Result.read()
+ * @param {Object} status - Result of Cache.status()
+ * @returns {string} Markdown formatted string
+ */
+function generateErrorPage(result, status) {
+    const sections = [];
+    const name = result.metadata.spdx_id || result.metadata.key || I18n.t("view.the_license");
+
+    // Title
+    sections.push(`# ${I18n.t("view.error_title", { name })}\n`);
+
+    // What went wrong
+    sections.push(`❌ ${result.error || I18n.t("view.error_default")}\n`);
+
+    // What to do about it
+    const steps = [
+        ...(result.hint ? [result.hint] : []),
+        I18n.t("view.retry", { name }),
+        I18n.t("view.retry_cache"),
+    ];
+    sections.push(`🔁 **${I18n.t("view.try_again")}**\n\n${steps.map(step => `- ${step}`).join("\n")}\n`);
+
+    // Cache status
+    const lines = status.caches.map(cache => `- ${cache.fetchedAt
+        ? I18n.t(cache.fresh ? "view.cache_fresh" : "view.cache_stale", {
+            name: cache.name,
+            count: cache.count,
+            date: new Date(cache.fetchedAt).toLocaleString(I18n.locale()),
+        })
+        : I18n.t("view.cache_missing", { name: cache.name })}`);
+
+    lines.push(`- ${status.snapshot ? I18n.t("view.snapshot", { count: status.snapshot.count }) : I18n.t("view.no_snapshot")}`);
+
+    if (status.refreshing) {
+        lines.push(`- ${I18n.t("view.refreshing")}`);
+    }
+
+    sections.push(`🗂️ **${I18n.t("view.cache_status")}**\n\n${lines.join("\n")}\n`);
+
+    return sections.join("\n");
+}
+
+/**
+ * Generates a Markdown comparison of several licenses
+ * @param {Object[]} licenses - License objects from cache, in column order
+ * @returns {string} Markdown formatted string
+ */
+function generateComparison(licenses) {
+    const ids = licenses.map(license => license.spdx_id);
+    const sections = [];
+
+    // Title
+    sections.push(`# ${ids.join(" vs ")}\n`);
+
+    // Descriptions
+    for (const license of licenses) {
+        sections.push(`**${license.name}** (${license.spdx_id})\n\n${license.description || I18n.t("view.no_description")}\n`);
+    }
+
+    // One row per rule found in any of the licenses
+    const rows = [`| | ${ids.join(" | ")} |`, `|---|${ids.map(() => ":---:").join("|")}|`];
+    let differences = 0;
+
+    for (const [field, icon] of COMPARISON_SECTIONS) {
+        const rules = [...new Set(licenses.flatMap(license => license[field] || []))];
+        if (rules.length === 0) continue;
+
+        rows.push(`| ${icon} **${I18n.t(`view.${field}`)}** |${ids.map(() => " |").join("")}`);
+
+        for (const rule of rules) {
+            const cells = licenses.map(license => ((license[field] || []).includes(rule) ? "✅" : "—"));
+            const differs = new Set(cells).size > 1;
+            const { label: name } = Rules.describe(field, rule);
+            const label = differs ? `**${name}** ⚠️` : name;
+
+            if (differs) differences++;
+            rows.push(`| ${label} | ${cells.join(" | ")} |`);
+        }
+    }
+
+    sections.push(`**${I18n.t("view.rules")}**\n\n${I18n.t("view.rules_differ", { n: differences })}\n\n${rows.join("\n")}\n`);
+
+    // Footer
+    const links = licenses
+        .filter(license => license.html_url)
+        .map(license => `[${license.spdx_id}](${license.html_url})`);
+
+    if (links.length > 0) {
+        sections.push(`---\n\n${I18n.t("view.view_on_site_links", { links: links.join(", ") })}`);
     }
 
     return sections.join("\n");
 }
 
+/**
+ * Compares licenses by key
+ * @param {string[]} keys - License keys
+ * @returns {string} Markdown comparison or error
+ */
+function compareLicenses(keys) {
+    if (keys.length < 2) {
+        return errorPage(I18n.t("view.compare_choose"));
+    }
+
+    const licenses = keys.map(key => getLicense(key, CACHE_NAME));
+    const missing = keys.filter((key, i) => !licenses[i]);
+
+    if (missing.length > 0) {
+        return errorPage(I18n.t("view.licenses_not_found", { keys: missing.join(", ") }));
+    }
+
+    return generateComparison(licenses);
+}
+
+/**
+ * Generates a Markdown compatibility report
+ * @param {Object} inbound - License of the code to include
+ * @param {Object} outbound - License of the project
+ * @param {{status: string, reason: string}} verdict - Result of Compatibility.check()
+ * @returns {string} Markdown formatted string
+ */
+function generateCompatibilityReport(inbound, outbound, verdict) {
+    const sections = [];
+
+    // Title
+    sections.push(`# ${I18n.t("view.compat_title", { inbound: inbound.spdx_id, outbound: outbound.spdx_id })}\n`);
+
+    // Verdict
+    sections.push(`**${I18n.t(`compat.${verdict.status}`)}**\n\n${verdict.reason}\n`);
+
+    // What the inbound license asks for
+    if (inbound.conditions?.length > 0) {
+        sections.push(`🔵 **${I18n.t("view.conditions_of", { id: inbound.spdx_id })}**\n\n${formatRules("conditions", inbound.conditions)}\n`);
+    }
+
+    // Both licenses
+    for (const license of [inbound, outbound]) {
+        if (license.description) {
+            sections.push(`**${license.name}**\n\n${license.description}\n`);
+        }
+    }
+
+    // Footer
+    sections.push(`---\n\n${I18n.t("view.compat_disclaimer")}`);
+
+    return sections.join("\n");
+}
+
+/**
+ * Checks if code under one license can be included in a project under another
+ * @param {string} inboundKey - Key of the license of the included code
+ * @param {string} outboundKey - Key of the project license
+ * @returns {string} Markdown report or error
+ */
+function checkCompatibility(inboundKey, outboundKey) {
+    const inbound = getLicense(inboundKey, CACHE_NAME);
+    const outbound = getLicense(outboundKey, CACHE_NAME);
+    const missing = [inbound ? null : inboundKey, outbound ? null : outboundKey].filter(Boolean);
+
+    if (missing.length > 0) {
+        return errorPage(I18n.t("view.licenses_not_found", { keys: missing.join(", ") }));
+    }
+
+    return generateCompatibilityReport(inbound, outbound, Compatibility.check(inbound.key, outbound.key));
+}
+
 /**
  * Main entry point for Alfred Run Script
  * @param {string[]} argv - Command line arguments (processed license body)
@@ -120,26 +400,75 @@ function generateMarkdown(license, body) {
 function run(argv) {
     const body = argv[0] || "";
 
+    // Comparisons are built from the license data, not the processed body
+    const compareKeys = getVariable("compare_licenses")
+        .split(",")
+        .map(key => key.trim())
+        .filter(Boolean);
+
+    if (compareKeys.length > 0) {
+        return compareLicenses(compareKeys);
+    }
+
+    const inboundKey = getVariable("compat_inbound");
+    const outboundKey = getVariable("compat_outbound");
+
+    if (inboundKey && outboundKey) {
+        return checkCompatibility(inboundKey, outboundKey);
+    }
+
+    // Errors come with an empty body, explain them instead of rendering it
+    const result = Result.read();
+
+    if (result.status === "error") {
+        return generateErrorPage(result, Cache.status(CACHE_STATUS_NAMES));
+    }
+
     if (!body) {
-        return "# Error\n\nNo license body provided.";
+        return errorPage(I18n.t("view.no_body"));
     }
 
     // Get license key from Alfred variable
-    const licenseKey = ObjC.unwrap(ENV.objectForKey("key_license"));
+    const licenseKey = getVariable("key_license");
 
     if (!licenseKey) {
-        return "# Error\n\nNo license key found in workflow variables.";
+        return errorPage(I18n.t("view.no_key"));
     }
 
     // Get license from cache
-    const license = getLicense(licenseKey, CACHE_FILE);
+    const license = getLicense(licenseKey, CACHE_NAME);
 
     if (!license) {
-        return `# Error\n\nLicense "${licenseKey}" not found in cache.`;
+        return errorPage(I18n.t("view.license_not_found", { key: licenseKey }));
+    }
+
+    // Placeholders process_license.js could not fill
+    const unfilled = getVariable("unfilled_placeholders")
+        .split(", ")
+        .filter(Boolean);
+
+    // Values process_license.js filled in, to highlight them in the body
+    let substitutions;
+    try {
+        substitutions = JSON.parse(getVariable("license_substitutions") || "[]");
+    } catch (e) {
+        substitutions = [];
     }
 
+    // How to apply is shown unless turned off
+    const apply = getVariable("show_how_to_apply") === "0"
+        ? null
+        : {
+            fileName: getVariable("license_filename") || "LICENSE",
+            header: getVariable("license_header") || "",
+            standardHeader: getVariable("license_header_standard") === "1",
+        };
+
+    // Unofficial translation into the configured locale, if there is one for this license
+    const translation = I18n.readTranslation(license.key);
+
     // Generate markdown
-    const markdown = generateMarkdown(license, body);
+    const markdown = generateMarkdown(license, body, unfilled, { warnings: result.warnings, substitutions, apply, translation });
 
     return markdown;
 }
@@ -0,0 +1,294 @@
+// Shared cache store for the license list and the licenses used so far.
+//
+// Every cache file holds a versioned envelope:
+//   { schemaVersion, fetchedAt, source, etag, data, entries }
+// `entries` keeps the ETag and fetch time of each license in used-licenses.
+
+var Cache = (() => {
+    const SCHEMA_VERSION = 1;
+    const DEFAULT_CACHE_TTL_DAYS = 365;
+    const REFRESH_LOCK_TIMEOUT = 120; // seconds
+
+    const FILE_MANAGER = $.NSFileManager.defaultManager;
+    const WORKFLOW_DIR = FILE_MANAGER.currentDirectoryPath.js;
+    const CACHE_DIR = Workflow.getVariable("alfred_workflow_cache") || "/tmp/alfred-choosealicense-cache";
+    const LOCK_FILE = `${CACHE_DIR}/refresh.lock`;
+    const SNAPSHOT_FILE = `${WORKFLOW_DIR}/data/licenses.json`;
+    const REFRESH_SCRIPT = `${WORKFLOW_DIR}/src/refresh_cache.js`;
+
+    /**
+     * Builds the path of a cache file
+     * @param {string} name - Cache name (e.g., "list-licenses")
+     * @returns {string} File path
+     */
+    function path(name) {
+        return `${CACHE_DIR}/${name}.json`;
+    }
+
+    /**
+     * Writes JSON to a file atomically
+     * @param {string} file - File path
+     * @param {*} value - Value to serialize
+     * @returns {boolean} True if the file was written
+     */
+    function writeJson(file, value) {
+        return Workflow.writeFile(file, JSON.stringify(value, null, 2));
+    }
+
+    /**
+     * Gets the modification time of a file
+     * @param {string} file - File path
+     * @returns {number|null} Milliseconds since the epoch or null
+     */
+    function modifiedAt(file) {
+        const attrs = FILE_MANAGER.attributesOfItemAtPathError(file, $());
+        const modDate = attrs && attrs.objectForKey($.NSFileModificationDate);
+
+        return modDate ? Math.round(modDate.timeIntervalSince1970 * 1000) : null;
+    }
+
+    /**
+     * Moves a corrupt cache file aside so it can be inspected instead of being overwritten
+     * @param {string} name - Cache name
+     * @returns {string} Path of the quarantined file
+     */
+    function quarantine(name) {
+        const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+        const target = `${CACHE_DIR}/${name}.corrupt-${stamp}.json`;
+
+        FILE_MANAGER.moveItemAtPathToPathError(path(name), target, $());
+        return target;
+    }
+
+    /**
+     * Checks if a cache file was written by a newer version of the workflow. Such files are read-only here,
+     * so a downgrade doesn't destroy them.
+     * @param {string} name - Cache name
+     * @returns {boolean} True if the file has a schemaVersion above SCHEMA_VERSION
+     */
+    function isNewerVersion(name) {
+        try {
+            const value = JSON.parse(Workflow.readFile(path(name)));
+            return Boolean(value) && value.schemaVersion > SCHEMA_VERSION;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Reads a cache envelope, migrating bare-array files and quarantining corrupt ones
+     * @param {string} name - Cache name (e.g., "list-licenses")
+     * @returns {Object|null} Envelope or null if missing, corrupt or written by a newer version
+     */
+    function read(name) {
+        const file = path(name);
+        const text = Workflow.readFile(file);
+        if (text === null) return null;
+
+        let value;
+        try {
+            value = JSON.parse(text);
+        } catch (e) {
+            quarantine(name);
+            return null;
+        }
+
+        // Files written before the envelope existed hold a bare array
+        if (Array.isArray(value)) {
+            const migrated = {
+                schemaVersion: SCHEMA_VERSION,
+                fetchedAt: modifiedAt(file) || Date.now(),
+                source: "legacy",
+                etag: null,
+                data: value,
+                entries: {},
+            };
+            writeJson(file, migrated);
+            return migrated;
+        }
+
+        if (value && value.schemaVersion > SCHEMA_VERSION) return null;
+
+        if (!value || value.schemaVersion !== SCHEMA_VERSION || !Array.isArray(value.data)) {
+            quarantine(name);
+            return null;
+        }
+
+        return { etag: null, entries: {}, ...value };
+    }
+
+    /**
+     * Writes a cache envelope, unless a newer version of the workflow wrote the file
+     * @param {string} name - Cache name
+     * @param {Object} contents - Envelope fields (data, source, etag, entries)
+     * @returns {boolean} True if the file was written
+     */
+    function write(name, { data, source, etag = null, entries = {} }) {
+        if (isNewerVersion(name)) return false;
+
+        Workflow.ensureDirectory(CACHE_DIR);
+
+        return writeJson(path(name), {
+            schemaVersion: SCHEMA_VERSION,
+            fetchedAt: Date.now(),
+            source,
+            etag,
+            data,
+            entries,
+        });
+    }
+
+    /**
+     * Adds or replaces one license in a keyed cache, recording its own ETag and fetch time
+     * @param {string} name - Cache name
+     * @param {Object} license - License object with a key
+     * @param {Object} meta - Entry metadata (source, etag)
+     * @returns {boolean} True if the file was written
+     */
+    function putEntry(name, license, { source, etag = null }) {
+        // read() returns null for a newer file, which must not be replaced by this single entry
+        if (isNewerVersion(name)) return false;
+
+        const envelope = read(name) || { data: [], entries: {} };
+        const data = envelope.data.filter(l => l.key !== license.key).concat(license);
+        const entries = { ...envelope.entries, [license.key]: { etag, fetchedAt: Date.now(), source } };
+
+        return write(name, { data, source, etag: envelope.etag, entries });
+    }
+
+    /**
+     * Gets the cache time-to-live from the workflow configuration
+     * @returns {number} Time-to-live in milliseconds
+     */
+    function getTtl() {
+        const days = parseFloat(Workflow.getVariable("cache_ttl_days"));
+        return (days >= 0 ? days : DEFAULT_CACHE_TTL_DAYS) * 86400 * 1000;
+    }
+
+    /**
+     * Checks if something fetched at the given time is still within the TTL
+     * @param {number|null|undefined} fetchedAt - Milliseconds since the epoch
+     * @returns {boolean} True if fresh
+     */
+    function isFresh(fetchedAt) {
+        return Boolean(fetchedAt) && Date.now() - fetchedAt < getTtl();
+    }
+
+    /**
+     * Reads the licenses bundled with the workflow
+     * @returns {{generatedAt: string, source: string, licenses: Object[]}|null} Snapshot or null
+     */
+    function readSnapshot() {
+        try {
+            const snapshot = JSON.parse(Workflow.readFile(SNAPSHOT_FILE));
+            return Array.isArray(snapshot.licenses) ? snapshot : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Checks if a refresh holds the lock. A lock untouched for REFRESH_LOCK_TIMEOUT belongs to a refresh that died.
+     * @returns {boolean} True if a refresh is running
+     */
+    function isRefreshing() {
+        const lockedAt = modifiedAt(LOCK_FILE);
+        return lockedAt !== null && Date.now() - lockedAt < REFRESH_LOCK_TIMEOUT * 1000;
+    }
+
+    /**
+     * Takes the refresh lock, so only one refresh runs at a time
+     * @returns {boolean} True if the lock was taken, false if another refresh holds it
+     */
+    function acquireRefreshLock() {
+        Workflow.ensureDirectory(CACHE_DIR);
+
+        // Creating a directory fails if it exists, so only one process can take the lock
+        const create = () => FILE_MANAGER.createDirectoryAtPathWithIntermediateDirectoriesAttributesError($(LOCK_FILE), false, $(), $());
+        if (create()) return true;
+        if (isRefreshing()) return false;
+
+        // Moving the expired lock aside is atomic too, so only one process takes it over
+        const stale = `${LOCK_FILE}.stale-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+        if (!FILE_MANAGER.moveItemAtPathToPathError(LOCK_FILE, stale, $())) return false;
+
+        FILE_MANAGER.removeItemAtPathError(stale, $());
+        return create();
+    }
+
+    /**
+     * Marks the refresh lock as still in use, so a long refresh doesn't look like one that died
+     */
+    function touchRefreshLock() {
+        FILE_MANAGER.setAttributesOfItemAtPathError($({ NSFileModificationDate: $.NSDate.date }), LOCK_FILE, $());
+    }
+
+    /**
+     * Releases the refresh lock
+     */
+    function releaseRefreshLock() {
+        FILE_MANAGER.removeItemAtPathError(LOCK_FILE, $());
+    }
+
+    /**
+     * Starts refresh_cache.js in the background unless a refresh is already running
+     */
+    function refreshInBackground() {
+        // Take the lock here, before launching, so quick successive calls start a single refresh
+        if (!acquireRefreshLock()) return;
+
+        try {
+            const task = $.NSTask.alloc.init;
+            task.setLaunchPath("/usr/bin/osascript");
+            task.setArguments(["-l", "JavaScript", REFRESH_SCRIPT, "locked"]);
+
+            // Detach output so Alfred doesn't wait for the refresh to finish
+            task.setStandardOutput($.NSFileHandle.fileHandleWithNullDevice);
+            task.setStandardError($.NSFileHandle.fileHandleWithNullDevice);
+
+            task.launch;
+        } catch (e) {
+            // Stale results are still returned if the refresh can't start
+            releaseRefreshLock();
+        }
+    }
+
+    /**
+     * Describes what is cached, for the cache status items
+     * @param {string[]} names - Cache names to report
+     * @returns {Object} Status of each cache, the snapshot and quarantined files
+     */
+    function status(names) {
+        const caches = names.map(name => {
+            const envelope = read(name);
+            return envelope
+                ? { name, count: envelope.data.length, fetchedAt: envelope.fetchedAt, source: envelope.source, fresh: isFresh(envelope.fetchedAt), newer: false }
+                : { name, count: 0, fetchedAt: null, source: null, fresh: false, newer: isNewerVersion(name) };
+        });
+
+        const files = ObjC.deepUnwrap(FILE_MANAGER.contentsOfDirectoryAtPathError(CACHE_DIR, $())) || [];
+        const snapshot = readSnapshot();
+
+        return {
+            dir: CACHE_DIR,
+            caches,
+            snapshot: snapshot ? { count: snapshot.licenses.length, generatedAt: snapshot.generatedAt } : null,
+            quarantined: files.filter(file => file.includes(".corrupt-")),
+            refreshing: isRefreshing(),
+        };
+    }
+
+    return {
+        SCHEMA_VERSION,
+        read,
+        write,
+        putEntry,
+        isFresh,
+        readSnapshot,
+        refreshInBackground,
+        acquireRefreshLock,
+        touchRefreshLock,
+        releaseRefreshLock,
+        status,
+    };
+})();
@@ -0,0 +1,87 @@
+// License categories worked out from each license's conditions, shared by the list
+// and the dependency inventory.
+
+var Categories = (() => {
+    // License categories, checked in order against each license's conditions
+    const CATEGORIES = [
+        {
+            id: "network-copyleft",
+            label: "Strongest Copyleft License",
+            test: conditions => conditions.includes("network-use-disclose"),
+        },
+        {
+            id: "strong-copyleft",
+            label: "Strong Copyleft License",
+            test: conditions => conditions.includes("same-license"),
+        },
+        {
+            id: "weak-copyleft",
+            label: "Weak Copyleft License",
+            test: conditions =>
+                conditions.includes("same-license--file") ||
+                conditions.includes("same-license--library"),
+        },
+        {
+            id: "public-domain",
+            label: "No Conditions Whatsoever",
+            test: conditions => conditions.length === 0,
+        },
+        {
+            id: "permissive",
+            label: "Permissive License",
+            test: () => true,
+        },
+    ];
+
+    // Licenses whose conditions don't tell their category, by key. choosealicense.com tags these
+    // same-license, but their copyleft stops at the licensed work, like MPL-2.0 and LGPL's
+    // same-license--file and same-license--library.
+    const CATEGORY_OVERRIDES = {
+        // Font software may be bundled with any software, only the fonts keep the license
+        "ofl-1.1": "weak-copyleft",
+        // Modules under other licenses may be combined with the EPL code, only the EPL parts stay EPL
+        "epl-1.0": "weak-copyleft",
+        "epl-2.0": "weak-copyleft",
+    };
+
+    // Filter keywords that cover several categories (e.g., "lic :copyleft")
+    const CATEGORY_GROUPS = {
+        copyleft: ["network-copyleft", "strong-copyleft", "weak-copyleft"],
+    };
+
+    /**
+     * Finds the category of a license from its conditions
+     * @param {Object} license - License object
+     * @returns {Object|null} Category or null when the license has no rules to go by
+     */
+    function get(license) {
+        const override = CATEGORY_OVERRIDES[license.key];
+        if (override) {
+            return CATEGORIES.find(category => category.id === override);
+        }
+
+        if (!Array.isArray(license.conditions)) return null;
+
+        return CATEGORIES.find(category => category.test(license.conditions));
+    }
+
+    /**
+     * Gets the category IDs a filter keyword stands for
+     * @param {string} name - Category ID or group name (e.g., "copyleft")
+     * @returns {string[]} Category IDs, empty if the name is unknown
+     */
+    function resolve(name) {
+        return CATEGORY_GROUPS[name] || CATEGORIES.filter(category => category.id === name).map(category => category.id);
+    }
+
+    /**
+     * Checks if a category requires derivatives to stay open
+     * @param {Object|null} category - Category from get()
+     * @returns {boolean} True for the copyleft categories
+     */
+    function isCopyleft(category) {
+        return Boolean(category) && CATEGORY_GROUPS.copyleft.includes(category.id);
+    }
+
+    return { CATEGORIES, get, resolve, isCopyleft };
+})();
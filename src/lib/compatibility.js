@@ -0,0 +1,131 @@
+// License compatibility matrix: can code under an inbound license be included in a
+// project under an outbound license? Keyed by the license keys of the GitHub API.
+//
+// This is a maintained summary of the usual guidance (FSF, OSI, the licenses' own
+// compatibility clauses), not legal advice. The labels of the verdicts are the
+// compat.<status> strings of I18n, and their reasons the compat.reason.<id> strings.
+
+var Compatibility = (() => {
+    // Licenses that only ask to keep their notices, so any outbound license can include them
+    const PERMISSIVE = [
+        "0bsd",
+        "apache-2.0",
+        "bsd-2-clause",
+        "bsd-3-clause",
+        "bsd-3-clause-clear",
+        "bsl-1.0",
+        "cc0-1.0",
+        "isc",
+        "mit",
+        "mit-0",
+        "ncsa",
+        "postgresql",
+        "unlicense",
+        "upl-1.0",
+        "wtfpl",
+        "zlib",
+    ];
+
+    const GNU_LICENSES = ["gpl-2.0", "gpl-3.0", "lgpl-2.1", "lgpl-3.0", "agpl-3.0"];
+
+    /**
+     * Gives several outbound licenses the same verdict
+     * @param {string[]} keys - Outbound license keys
+     * @param {string} status - "compatible", "conditional" or "incompatible"
+     * @param {string} reason - ID of the compat.reason.<id> string saying why
+     * @returns {Object} Verdicts by outbound key
+     */
+    function each(keys, status, reason) {
+        return Object.fromEntries(keys.map(key => [key, { status, reason }]));
+    }
+
+    // Verdicts by inbound, then outbound license key. "*" is the verdict for any other outbound license.
+    // Reasons are IDs of compat.reason.<id> strings.
+    const MATRIX = {
+        "apache-2.0": {
+            ...each(["gpl-2.0", "lgpl-2.1"], "incompatible", "apache-2.0.gpl-2.0"),
+        },
+        "bsd-4-clause": {
+            "*": { status: "compatible", reason: "bsd-4-clause" },
+            ...each(GNU_LICENSES, "incompatible", "bsd-4-clause.gnu"),
+        },
+        "gpl-2.0": {
+            "*": { status: "incompatible", reason: "gpl-2.0" },
+            ...each(["gpl-3.0", "agpl-3.0"], "conditional", "gpl-2.0.version-3"),
+        },
+        "gpl-3.0": {
+            "*": { status: "incompatible", reason: "gpl-3.0" },
+            "gpl-2.0": { status: "incompatible", reason: "gpl-3.0.gpl-2.0" },
+            "agpl-3.0": { status: "compatible", reason: "gpl-3.0.agpl-3.0" },
+        },
+        "agpl-3.0": {
+            "*": { status: "incompatible", reason: "agpl-3.0" },
+            "gpl-3.0": { status: "conditional", reason: "agpl-3.0.gpl-3.0" },
+        },
+        "lgpl-2.1": {
+            "*": { status: "conditional", reason: "lgpl-2.1" },
+            ...each(["gpl-2.0", "gpl-3.0", "agpl-3.0"], "compatible", "lgpl-2.1.gpl"),
+            "lgpl-3.0": { status: "conditional", reason: "lgpl-2.1.lgpl-3.0" },
+        },
+        "lgpl-3.0": {
+            "*": { status: "conditional", reason: "lgpl-3.0" },
+            ...each(["gpl-3.0", "agpl-3.0"], "compatible", "lgpl-3.0.gpl-3.0"),
+            ...each(["gpl-2.0", "lgpl-2.1"], "incompatible", "lgpl-3.0.version-2"),
+        },
+        "mpl-2.0": {
+            "*": { status: "conditional", reason: "mpl-2.0" },
+            ...each(GNU_LICENSES, "compatible", "mpl-2.0.gnu"),
+        },
+        "epl-1.0": {
+            "*": { status: "conditional", reason: "epl-1.0" },
+            ...each(GNU_LICENSES, "incompatible", "epl-1.0.gnu"),
+        },
+        "epl-2.0": {
+            "*": { status: "conditional", reason: "epl-2.0" },
+            ...each(GNU_LICENSES, "conditional", "epl-2.0.gnu"),
+        },
+        "eupl-1.2": {
+            "*": { status: "incompatible", reason: "eupl-1.2" },
+            ...each([...GNU_LICENSES, "mpl-2.0", "epl-1.0", "epl-2.0", "osl-3.0", "cecill-2.1"], "conditional", "eupl-1.2.appendix"),
+        },
+        "cc-by-sa-4.0": {
+            "*": { status: "incompatible", reason: "cc-by-sa-4.0" },
+            "gpl-3.0": { status: "compatible", reason: "cc-by-sa-4.0.gpl-3.0" },
+        },
+    };
+
+    /**
+     * Checks if code under one license can be included in a project under another
+     * @param {string} inbound - Key of the license of the included code
+     * @param {string} outbound - Key of the project license
+     * @returns {{status: string, reason: string}} Verdict and why, in the configured locale
+     */
+    function check(inbound, outbound) {
+        const verdict = lookup(inbound, outbound);
+        return { status: verdict.status, reason: I18n.t(`compat.reason.${verdict.reason}`) };
+    }
+
+    /**
+     * Finds the verdict of the matrix for a pair of licenses
+     * @param {string} inbound - Key of the license of the included code
+     * @param {string} outbound - Key of the project license
+     * @returns {{status: string, reason: string}} Verdict and the ID of its reason
+     */
+    function lookup(inbound, outbound) {
+        if (inbound === outbound) {
+            return { status: "compatible", reason: "same" };
+        }
+
+        const verdicts = MATRIX[inbound] || {};
+        if (verdicts[outbound]) return verdicts[outbound];
+        if (verdicts["*"]) return verdicts["*"];
+
+        if (PERMISSIVE.includes(inbound)) {
+            return { status: "compatible", reason: "permissive" };
+        }
+
+        return { status: "unknown", reason: "not_in_matrix" };
+    }
+
+    return { check };
+})();
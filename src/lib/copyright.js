@@ -0,0 +1,89 @@
+// Finds copyright statements in license files and tells the project's own apart from the
+// ones that belong to the license text, such as the Free Software Foundation's in the GPL.
+
+var Copyright = (() => {
+    // Copyright, © or (c) followed by a year or a holder, not by words like "license" or "notice"
+    const STATEMENT_PATTERN = /^(?:copyright\b|\(c\)|©)(?:\s*(?:\(c\)|©))*[\s,:]+(?!(?:notice|holders?|owners?|law|license|and|to|of|for|the|is|statement)\b)(?:\d{4}|\S)/i;
+    // Years of a statement: "2019", "2019-2024" or "2015, 2019-2024"
+    const YEARS_PATTERN = /\d{4}(?:\s*[-–]\s*\d{4})?(?:\s*,\s*\d{4}(?:\s*[-–]\s*\d{4})?)*/;
+
+    /**
+     * Checks if a line is a copyright statement
+     * @param {string} line - Line of a license file
+     * @returns {boolean} True for lines like "Copyright (c) 2019 Jane Doe"
+     */
+    function isStatement(line) {
+        return STATEMENT_PATTERN.test(line.trim());
+    }
+
+    /**
+     * Normalizes a line for comparison
+     * @param {string} line - Line of a license file
+     * @returns {string} Lowercase line with single spaces
+     */
+    function normalize(line) {
+        return line.trim().replace(/\s+/g, " ").toLowerCase();
+    }
+
+    /**
+     * Collects the copyright statements of the standard license texts, which belong to the
+     * license's author rather than to a project using it
+     * @param {Object[]} licenses - Licenses with a body
+     * @returns {Set<string>} Normalized statements
+     */
+    function authorLines(licenses) {
+        const lines = licenses.flatMap(license => (license.body || "").split("\n"));
+        return new Set(lines.filter(isStatement).map(normalize));
+    }
+
+    /**
+     * Checks if a statement belongs to the license text
+     * @param {string} line - Copyright statement
+     * @param {Set<string>} authors - Result of authorLines()
+     * @returns {boolean} True for statements like the FSF's in the GPL
+     */
+    function isLicenseAuthor(line, authors) {
+        return authors.has(normalize(line));
+    }
+
+    /**
+     * Finds the project's own copyright statement with a year
+     * @param {string} text - License file contents
+     * @param {Set<string>} authors - Result of authorLines()
+     * @returns {{index: number, line: string, years: string, start: number, end: number}|null} Line number, line, its years and their span, or null
+     */
+    function findHolderLine(text, authors) {
+        const lines = text.replace(/\r\n/g, "\n").split("\n");
+
+        for (let index = 0; index < lines.length; index++) {
+            const line = lines[index];
+            if (!isStatement(line) || isLicenseAuthor(line, authors)) continue;
+
+            const match = line.match(YEARS_PATTERN);
+            if (!match) continue;
+
+            const years = match[0].match(/\d{4}/g).map(Number);
+            return { index, line, years: match[0], start: years[0], end: Math.max(...years) };
+        }
+
+        return null;
+    }
+
+    /**
+     * Moves the end year of a statement, leaving its holders and wording as they are
+     * @param {string} line - Copyright statement with a year
+     * @param {number} year - New end year
+     * @returns {string} Statement with the updated years (e.g., "2019-2024" becomes "2019-2026")
+     */
+    function updateEndYear(line, year) {
+        const match = line.match(YEARS_PATTERN);
+        const years = match ? match[0].match(/\d{4}/g).map(Number) : [];
+        if (years.length === 0 || Math.max(...years) >= year) return line;
+
+        // Only the last year or range of a list moves
+        const updated = match[0].replace(/(\d{4})(?:(\s*[-–]\s*)\d{4})?$/, (last, start, dash) => `${start}${dash || "-"}${year}`);
+        return line.replace(match[0], updated);
+    }
+
+    return { isStatement, normalize, authorLines, isLicenseAuthor, findHolderLine, updateEndYear };
+})();
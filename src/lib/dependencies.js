@@ -0,0 +1,230 @@
+// Reads the dependencies of a JavaScript project and the licenses they declare,
+// from lockfiles and node_modules, without network access.
+
+var Dependencies = (() => {
+    const FILE_MANAGER = $.NSFileManager.defaultManager;
+
+    /**
+     * Reads a JSON file
+     * @param {string} file - File path
+     * @returns {*} Parsed value or null if missing or invalid
+     */
+    function readJson(file) {
+        try {
+            return JSON.parse(Workflow.readFile(file));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Lists the entries of a directory
+     * @param {string} dir - Directory path
+     * @returns {string[]} Entry names, empty if the directory doesn't exist
+     */
+    function listDir(dir) {
+        return ObjC.deepUnwrap(FILE_MANAGER.contentsOfDirectoryAtPathError(dir, $())) || [];
+    }
+
+    /**
+     * Gets the license a package.json declares, including the deprecated forms
+     * @param {Object} pkg - Parsed package.json
+     * @returns {string|null} SPDX expression or null if none is declared
+     */
+    function declaredLicense(pkg) {
+        const license = pkg.license || pkg.licenses;
+        const entries = Array.isArray(license) ? license : [license];
+        const ids = entries.map(entry => (entry && typeof entry === "object" ? entry.type : entry)).filter(Boolean);
+
+        if (ids.length === 0) return null;
+
+        return ids.length > 1 ? `(${ids.join(" OR ")})` : ids[0];
+    }
+
+    /**
+     * Splits a package specifier such as "@scope/name@1.0.0" into name and version
+     * @param {string} spec - Package specifier
+     * @returns {{name: string, version: string}} Name and version (may be a range)
+     */
+    function splitSpec(spec) {
+        const at = spec.lastIndexOf("@");
+        return at > 0 ? { name: spec.slice(0, at), version: spec.slice(at + 1) } : { name: spec, version: "" };
+    }
+
+    /**
+     * Reads the packages of package-lock.json (lockfile versions 1 to 3)
+     * @param {string} dir - Project folder
+     * @returns {Object[]|null} Packages ({name, version, license}) or null without a lockfile
+     */
+    function readPackageLock(dir) {
+        const lock = readJson(`${dir}/package-lock.json`);
+        if (!lock) return null;
+
+        // Lockfile versions 2 and 3 list every installed path, with its license
+        if (lock.packages) {
+            return Object.entries(lock.packages)
+                .filter(([path]) => path.includes("node_modules/"))
+                .map(([path, entry]) => ({
+                    name: entry.name || path.slice(path.lastIndexOf("node_modules/") + "node_modules/".length),
+                    version: entry.version || "",
+                    license: entry.license ? declaredLicense(entry) : null,
+                }));
+        }
+
+        // Version 1 nests dependencies and has no licenses
+        const packages = [];
+        const walk = (dependencies) => {
+            for (const [name, entry] of Object.entries(dependencies || {})) {
+                packages.push({ name, version: entry.version || "", license: null });
+                walk(entry.dependencies);
+            }
+        };
+
+        walk(lock.dependencies);
+        return packages;
+    }
+
+    /**
+     * Reads the packages of yarn.lock (classic and Berry formats)
+     * @param {string} dir - Project folder
+     * @returns {Object[]|null} Packages ({name, version, license}) or null without a lockfile
+     */
+    function readYarnLock(dir) {
+        const text = Workflow.readFile(`${dir}/yarn.lock`);
+        if (text === null) return null;
+
+        const packages = [];
+        let name = null;
+
+        for (const line of text.split("\n")) {
+            // Entry headers aren't indented: "lodash@^4.17.0", "@babel/core@npm:^7.0.0":
+            if (/^[^\s#].*:$/.test(line) && !line.startsWith("__metadata")) {
+                const spec = line.slice(0, -1).split(",")[0].trim().replace(/^"|"$/g, "");
+
+                // Berry lists the project's own workspaces too
+                name = spec.includes("@workspace:") ? null : splitSpec(spec.replace(/@npm:/, "@")).name;
+                continue;
+            }
+
+            const version = line.match(/^\s+version:?\s+"?([^"\s]+)"?/);
+            if (name && version) {
+                packages.push({ name, version: version[1], license: null });
+                name = null;
+            }
+        }
+
+        return packages;
+    }
+
+    /**
+     * Reads the packages of pnpm-lock.yaml (lockfile versions 5 to 9)
+     * @param {string} dir - Project folder
+     * @returns {Object[]|null} Packages ({name, version, license}) or null without a lockfile
+     */
+    function readPnpmLock(dir) {
+        const text = Workflow.readFile(`${dir}/pnpm-lock.yaml`);
+        if (text === null) return null;
+
+        const packages = [];
+        let inPackages = false;
+
+        for (const line of text.split("\n")) {
+            if (/^\S/.test(line)) {
+                inPackages = line.startsWith("packages:");
+                continue;
+            }
+
+            // "  /lodash/4.17.21:" (v5), "  /lodash@4.17.21:" (v6) or "  lodash@4.17.21:" (v9)
+            const key = inPackages && line.match(/^ {2}'?\/?([^\s':]+?)(?:\(.*\))?'?:\s*$/);
+            if (!key) continue;
+
+            const slash = key[1].match(/^((?:@[^/]+\/)?[^/@]+)\/(\d[^/_]*)(?:_.*)?$/);
+            const { name, version } = slash ? { name: slash[1], version: slash[2] } : splitSpec(key[1]);
+
+            packages.push({ name, version, license: null });
+        }
+
+        return packages;
+    }
+
+    /**
+     * Reads the packages installed in node_modules
+     * @param {string} dir - Project folder
+     * @param {boolean} [deep] - True to include packages nested in other packages' node_modules
+     * @returns {Object[]|null} Packages ({name, version, license, path}) or null without node_modules
+     */
+    function readNodeModules(dir, deep = false) {
+        const root = `${dir}/node_modules`;
+        const names = listDir(root);
+        if (names.length === 0) return null;
+
+        const packages = [];
+
+        for (const name of names) {
+            if (name.startsWith(".")) continue;
+
+            // Scoped packages live one level deeper
+            const paths = name.startsWith("@")
+                ? listDir(`${root}/${name}`).map(child => `${name}/${child}`)
+                : [name];
+
+            for (const path of paths) {
+                const pkg = readJson(`${root}/${path}/package.json`);
+                if (!pkg) continue;
+
+                packages.push({
+                    name: pkg.name || path,
+                    version: pkg.version || "",
+                    license: declaredLicense(pkg),
+                    author: typeof pkg.author === "object" && pkg.author ? pkg.author.name : pkg.author || null,
+                    path: `${root}/${path}`,
+                });
+
+                if (deep) {
+                    packages.push(...(readNodeModules(`${root}/${path}`, true) || []));
+                }
+            }
+        }
+
+        return packages;
+    }
+
+    /**
+     * Collects every dependency of a project, one entry per name and version
+     * @param {string} dir - Project folder
+     * @returns {{packages: Object[], sources: Object}} Packages sorted by name ({name, version, license, sources}) and the package count of each source
+     */
+    function collect(dir) {
+        const readers = {
+            "package-lock.json": readPackageLock,
+            "yarn.lock": readYarnLock,
+            "pnpm-lock.yaml": readPnpmLock,
+            "node_modules": readNodeModules,
+        };
+        const byId = new Map();
+        const sources = {};
+
+        for (const [source, read] of Object.entries(readers)) {
+            const found = read(dir);
+            if (!found) continue;
+
+            sources[source] = found.length;
+
+            for (const pkg of found) {
+                const id = `${pkg.name}@${pkg.version}`;
+                const entry = byId.get(id) || { name: pkg.name, version: pkg.version, license: null, sources: [] };
+
+                // Lockfiles rarely have licenses, the installed package.json fills them in
+                entry.license = entry.license || pkg.license;
+                entry.path = entry.path || pkg.path;
+                entry.sources.push(source);
+                byId.set(id, entry);
+            }
+        }
+
+        const packages = [...byId.values()].sort((a, b) => a.name.localeCompare(b.name) || a.version.localeCompare(b.version));
+        return { packages, sources };
+    }
+
+    return { collect, declaredLicense, readNodeModules };
+})();
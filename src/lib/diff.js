@@ -0,0 +1,66 @@
+// Line-based diffs shown in the Text Viewer reports.
+
+var Diff = (() => {
+    const MAX_DIFF_LINES = 40;
+
+    /**
+     * Builds a line-based diff between two texts using the longest common subsequence
+     * @param {string} oldText - Current file contents
+     * @param {string} newText - Contents that would be written
+     * @returns {{lines: string[], added: number, removed: number}} Diff lines and counts
+     */
+    function diffLines(oldText, newText) {
+        const a = oldText.replace(/\r\n/g, "\n").split("\n");
+        const b = newText.replace(/\r\n/g, "\n").split("\n");
+
+        // LCS lengths table, filled from the end so the walk below goes forward
+        const table = new Array(a.length + 1);
+        for (let i = a.length; i >= 0; i--) {
+            table[i] = new Array(b.length + 1).fill(0);
+            if (i === a.length) continue;
+
+            for (let j = b.length - 1; j >= 0; j--) {
+                table[i][j] = a[i] === b[j]
+                    ? table[i + 1][j + 1] + 1
+                    : Math.max(table[i + 1][j], table[i][j + 1]);
+            }
+        }
+
+        const lines = [];
+        let added = 0;
+        let removed = 0;
+        let i = 0;
+        let j = 0;
+
+        while (i < a.length || j < b.length) {
+            if (i < a.length && j < b.length && a[i] === b[j]) {
+                i++;
+                j++;
+            } else if (j < b.length && (i === a.length || table[i][j + 1] >= table[i + 1][j])) {
+                lines.push(`+ ${b[j++]}`);
+                added++;
+            } else {
+                lines.push(`- ${a[i++]}`);
+                removed++;
+            }
+        }
+
+        return { lines, added, removed };
+    }
+
+    /**
+     * Formats a diff as a Markdown summary
+     * @param {string} fileName - Name of the compared file
+     * @param {Object} diff - Result of diffLines()
+     * @returns {string} Markdown formatted summary
+     */
+    function formatDiff(fileName, diff) {
+        const shown = diff.lines.slice(0, MAX_DIFF_LINES);
+        const hidden = diff.lines.length - shown.length;
+        const more = hidden > 0 ? `\n… ${hidden} more changed lines` : "";
+
+        return `**${fileName}**: ${diff.added} lines added, ${diff.removed} lines removed\n\n\`\`\`diff\n${shown.join("\n")}${more}\n\`\`\`\n`;
+    }
+
+    return { diffLines, formatDiff };
+})();
@@ -0,0 +1,168 @@
+// Output formats of the processed license: wrapped text, Markdown, HTML, RTF and JSON.
+
+var Formats = (() => {
+    const FORMATS = ["wrapped", "markdown", "html", "rtf", "json"];
+    const DEFAULT_WRAP_WIDTH = 80;
+
+    /**
+     * Hard-wraps text, keeping line breaks and the indentation of each line
+     * @param {string} text - Text to wrap
+     * @param {number} width - Maximum line length
+     * @returns {string} Wrapped text
+     */
+    function wrapText(text, width) {
+        return text
+            .split("\n")
+            .map(line => {
+                if (line.length <= width) return line;
+
+                const indent = line.match(/^\s*/)[0];
+                const lines = [];
+                let current = indent;
+
+                for (const word of line.slice(indent.length).split(/\s+/).filter(Boolean)) {
+                    if (current.trim() && current.length + 1 + word.length > width) {
+                        lines.push(current);
+                        current = indent;
+                    }
+
+                    current += current.trim() ? ` ${word}` : word;
+                }
+
+                return lines.concat(current).join("\n");
+            })
+            .join("\n");
+    }
+
+    /**
+     * Splits the license body into paragraphs at blank lines, leaving out a first line that repeats the title
+     * @param {Object} doc - Processed license ({title, body})
+     * @returns {string[]} Paragraphs without surrounding whitespace
+     */
+    function paragraphs(doc) {
+        const all = doc.body.split(/\n\s*\n/).map(paragraph => paragraph.replace(/^\n+|\s+$/g, "")).filter(Boolean);
+
+        // Most texts start with their own name, which the heading already shows
+        return all.length > 1 && all[0].trim().toLowerCase() === doc.title.toLowerCase() ? all.slice(1) : all;
+    }
+
+    /**
+     * Escapes text for HTML
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    function escapeHtml(text) {
+        return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+    }
+
+    /**
+     * Escapes text so Markdown shows it as is: inline emphasis, code, links and HTML such as "<year>",
+     * and the characters that start a heading, quote, list or rule at the start of a line
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    function escapeMarkdown(text) {
+        return text
+            .replace(/[\\`*_[\]<>&~|]/g, "\\$&")
+            .replace(/^([#+=-])/gm, "\\$1")
+            .replace(/^(\d+)([.)])/gm, "$1\\$2");
+    }
+
+    /**
+     * Escapes text for RTF, writing characters outside ASCII as Unicode escapes
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    function escapeRtf(text) {
+        return text
+            .replace(/[\\{}]/g, "\\$&")
+            .replace(/[^\x00-\x7f]/g, char => {
+                const code = char.charCodeAt(0);
+                return `\\u${code > 32767 ? code - 65536 : code}?`;
+            })
+            .replace(/\n/g, "\\line\n");
+    }
+
+    /**
+     * Renders Markdown with the license name as heading
+     * @param {Object} doc - Processed license ({title, body})
+     * @returns {string} Markdown
+     */
+    function toMarkdown(doc) {
+        // Indented lines of the GNU texts would turn into code blocks
+        return `# ${escapeMarkdown(doc.title)}\n\n${paragraphs(doc).map(p => escapeMarkdown(p.replace(/^[ \t]+/gm, ""))).join("\n\n")}\n`;
+    }
+
+    /**
+     * Renders an HTML fragment for rich editors
+     * @param {Object} doc - Processed license ({title, body})
+     * @returns {string} HTML
+     */
+    function toHtml(doc) {
+        const body = paragraphs(doc).map(p => `<p>${escapeHtml(p.replace(/^[ \t]+/gm, "")).replace(/\n/g, "<br>\n")}</p>`);
+        return `<h1>${escapeHtml(doc.title)}</h1>\n${body.join("\n")}\n`;
+    }
+
+    /**
+     * Renders an RTF document for rich editors
+     * @param {Object} doc - Processed license ({title, body})
+     * @returns {string} RTF
+     */
+    function toRtf(doc) {
+        const body = paragraphs(doc).map(p => `${escapeRtf(p)}\\par`);
+        return `{\\rtf1\\ansi\\deff0{\\fonttbl{\\f0\\fswiss Helvetica;}}\\f0\\fs24\n{\\b\\fs32 ${escapeRtf(doc.title)}\\par}\n\\par\n${body.join("\n\\par\n")}\n}`;
+    }
+
+    /**
+     * Renders the license with its metadata, rules and the substitutions applied
+     * @param {Object} doc - Processed license ({title, licenses, body, substitutions, unfilled, year, holders})
+     * @returns {string} Pretty-printed JSON
+     */
+    function toJson(doc) {
+        return JSON.stringify({
+            title: doc.title,
+            licenses: doc.licenses.map(license => ({
+                key: license.key,
+                spdx_id: license.spdx_id,
+                name: license.name,
+                url: license.html_url || null,
+                custom: Boolean(license.custom),
+                description: license.description || "",
+                permissions: license.permissions || [],
+                conditions: license.conditions || [],
+                limitations: license.limitations || [],
+            })),
+            year: doc.year,
+            holders: doc.holders,
+            substitutions: doc.substitutions,
+            unfilled: doc.unfilled,
+            body: doc.body,
+        }, null, 2);
+    }
+
+    /**
+     * Renders a processed license in an output format
+     * @param {string} format - One of FORMATS
+     * @param {Object} doc - Processed license ({title, licenses, body, substitutions, unfilled, year, holders})
+     * @param {Object} [options] - Options ({width} for wrapped text)
+     * @returns {string} Rendered license
+     */
+    function render(format, doc, options = {}) {
+        switch (format) {
+            case "wrapped":
+                return wrapText(doc.body, options.width || DEFAULT_WRAP_WIDTH);
+            case "markdown":
+                return toMarkdown(doc);
+            case "html":
+                return toHtml(doc);
+            case "rtf":
+                return toRtf(doc);
+            case "json":
+                return toJson(doc);
+            default:
+                return doc.body;
+        }
+    }
+
+    return { FORMATS, render };
+})();
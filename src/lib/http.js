@@ -0,0 +1,228 @@
+// Shared HTTP layer for the GitHub licenses API.
+
+var Http = (() => {
+    const CURL_PATH = "/usr/bin/curl";
+    const CURL_TIMEOUT = 5;
+    const DEFAULT_API_BASE_URL = "https://api.github.com";
+
+    // Curl exit codes that mean the request never reached the server, described by the http.curl.<code> strings
+    const CURL_ERRORS = [5, 6, 7, 28, 35, 60];
+
+    /**
+     * Error raised for failed API requests
+     * @property {string} kind - "network", "rate_limit", "unauthorized", "not_found", "http" or "invalid_response"
+     * @property {number} status - HTTP status code, 0 without a response
+     * @property {Date|null} resetAt - When the rate limit resets
+     */
+    class HttpError extends Error {
+        constructor(kind, message, { status = 0, resetAt = null } = {}) {
+            super(message);
+            this.name = "HttpError";
+            this.kind = kind;
+            this.status = status;
+            this.resetAt = resetAt;
+        }
+    }
+
+    /**
+     * Gets the API base URL from the workflow configuration
+     * @returns {string} Base URL without trailing slash
+     */
+    function getBaseUrl() {
+        return (Workflow.getVariable("api_base_url") || DEFAULT_API_BASE_URL).replace(/\/+$/, "");
+    }
+
+    /**
+     * Builds an API URL
+     * @param {string} path - API path (e.g., "/licenses/mit")
+     * @returns {string} Absolute URL
+     */
+    function apiUrl(path) {
+        return `${getBaseUrl()}${path}`;
+    }
+
+    /**
+     * Splits a curl response that includes headers (-i) into status, headers and body
+     * @param {string} response - Raw response text
+     * @returns {{status: number, headers: Object, body: string}} Parsed response
+     */
+    function parseResponse(response) {
+        let rest = response;
+        let headerBlock = "";
+
+        // Redirects and 100-continue produce several header blocks, the last one wins
+        while (/^HTTP\//.test(rest)) {
+            const end = rest.search(/\r?\n\r?\n/);
+            if (end === -1) {
+                headerBlock = rest;
+                rest = "";
+                break;
+            }
+
+            headerBlock = rest.slice(0, end);
+            rest = rest.slice(end).replace(/^\r?\n\r?\n/, "");
+        }
+
+        const lines = headerBlock.split(/\r?\n/);
+        const status = parseInt((lines[0] || "").split(" ")[1], 10) || 0;
+        const headers = {};
+
+        for (const line of lines.slice(1)) {
+            const separator = line.indexOf(":");
+            if (separator > 0) {
+                headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+            }
+        }
+
+        return { status, headers, body: rest };
+    }
+
+    /**
+     * Runs curl without a shell. The token is passed through stdin so it never shows up in the process list.
+     * @param {string} url - URL to request
+     * @param {string[]} headers - Extra request headers
+     * @returns {{status: number, headers: Object, body: string}} Parsed response
+     * @throws {HttpError} If curl could not complete the request
+     */
+    function curl(url, headers) {
+        const args = ["-L", "-s", "-i", "--max-time", CURL_TIMEOUT.toString(), "--config", "-"];
+        const proxy = Workflow.getVariable("proxy_url");
+
+        for (const header of [
+            "Accept: application/vnd.github+json",
+            "X-GitHub-Api-Version: 2022-11-28",
+            "User-Agent: choosealicense-alfred-workflow",
+            ...headers,
+        ]) {
+            args.push("-H", header);
+        }
+
+        if (proxy) {
+            args.push("--proxy", proxy);
+        }
+
+        args.push(url);
+
+        const token = Workflow.getVariable("GITHUB_TOKEN");
+        const config = token ? `header = "Authorization: Bearer ${token.replace(/"/g, "")}"\n` : "";
+
+        const task = $.NSTask.alloc.init;
+        task.setLaunchPath(CURL_PATH);
+        task.setArguments(args);
+
+        const input = $.NSPipe.pipe;
+        const output = $.NSPipe.pipe;
+        task.setStandardInput(input);
+        task.setStandardOutput(output);
+        task.setStandardError($.NSPipe.pipe);
+
+        task.launch;
+        input.fileHandleForWriting.writeData($(config).dataUsingEncoding($.NSUTF8StringEncoding));
+        input.fileHandleForWriting.closeFile;
+
+        const data = output.fileHandleForReading.readDataToEndOfFile;
+        task.waitUntilExit;
+
+        const exitCode = task.terminationStatus;
+        if (exitCode !== 0) {
+            throw new HttpError("network", CURL_ERRORS.includes(exitCode)
+                ? I18n.t(`http.curl.${exitCode}`)
+                : I18n.t("http.curl_failed", { code: exitCode }));
+        }
+
+        const response = $.NSString.alloc.initWithDataEncoding(data, $.NSUTF8StringEncoding).js;
+        return parseResponse(response || "");
+    }
+
+    /**
+     * Turns an error response into an HttpError
+     * @param {{status: number, headers: Object, body: string}} response - Parsed response
+     * @returns {HttpError} Typed error
+     */
+    function toError(response) {
+        const { status, headers } = response;
+        let message = I18n.t("http.status", { status });
+
+        try {
+            message = JSON.parse(response.body).message || message;
+        } catch (e) {
+            // Keep the generic message for non-JSON bodies
+        }
+
+        const remaining = headers["x-ratelimit-remaining"];
+        if ((status === 403 || status === 429) && (remaining === "0" || headers["retry-after"])) {
+            const reset = parseInt(headers["x-ratelimit-reset"], 10);
+            const retryAfter = parseInt(headers["retry-after"], 10);
+            const resetAt = reset
+                ? new Date(reset * 1000)
+                : retryAfter ? new Date(Date.now() + retryAfter * 1000) : null;
+
+            return new HttpError("rate_limit", message, { status, resetAt });
+        }
+
+        if (status === 401) return new HttpError("unauthorized", message, { status });
+        if (status === 404) return new HttpError("not_found", message, { status });
+
+        return new HttpError("http", message, { status });
+    }
+
+    /**
+     * Requests JSON from the API
+     * @param {string} path - API path (e.g., "/licenses")
+     * @param {Object} [options] - Request options
+     * @param {string} [options.etag] - ETag of the cached response, sent as If-None-Match
+     * @returns {{status: number, data: *, etag: string|null}} Parsed body (null on 304) and ETag
+     * @throws {HttpError} On network failures, error statuses and invalid JSON
+     */
+    function fetchJson(path, { etag } = {}) {
+        const response = curl(apiUrl(path), etag ? [`If-None-Match: ${etag}`] : []);
+
+        if (response.status === 304) {
+            return { status: 304, data: null, etag: response.headers.etag || etag };
+        }
+
+        if (response.status < 200 || response.status >= 300) {
+            throw toError(response);
+        }
+
+        try {
+            return { status: response.status, data: JSON.parse(response.body), etag: response.headers.etag || null };
+        } catch (e) {
+            throw new HttpError("invalid_response", I18n.t("http.invalid"), { status: response.status });
+        }
+    }
+
+    /**
+     * Describes an error as an Alfred item
+     * @param {Error} error - HttpError or any other error
+     * @returns {{title: string, subtitle: string, valid: boolean}} Alfred item
+     */
+    function describeError(error) {
+        switch (error.kind) {
+            case "network":
+                return { title: I18n.t("http.network"), subtitle: I18n.t("http.network_text", { message: error.message }), valid: false };
+
+            case "rate_limit": {
+                const subtitle = error.resetAt
+                    ? I18n.t("http.rate_limit_reset_text", { time: error.resetAt.toLocaleTimeString() })
+                    : I18n.t("http.rate_limit_text");
+                return { title: I18n.t("http.rate_limit"), subtitle, valid: false };
+            }
+
+            case "unauthorized":
+                return { title: I18n.t("http.unauthorized"), subtitle: I18n.t("http.unauthorized_text"), valid: false };
+
+            case "not_found":
+                return { title: I18n.t("http.not_found"), subtitle: I18n.t("http.not_found_text", { message: error.message }), valid: false };
+
+            case "http":
+            case "invalid_response":
+                return { title: error.status ? I18n.t("http.error_status", { status: error.status }) : I18n.t("http.error"), subtitle: error.message, valid: false };
+
+            default:
+                return { title: I18n.t("http.failed"), subtitle: error.message || I18n.t("http.failed_text"), valid: false };
+        }
+    }
+
+    return { HttpError, apiUrl, fetchJson, describeError, parseResponse };
+})();
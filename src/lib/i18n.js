@@ -0,0 +1,741 @@
+// Localized UI strings and unofficial license translations, chosen with the `locale` workflow variable.
+//
+// Translations are plain text files in the translations folder, one folder per locale:
+//   <translations_dir>/es/mit.txt
+// They may use the same placeholders as the English text, e.g. [year] and [fullname].
+
+var I18n = (() => {
+    const DEFAULT_LOCALE = "en";
+    const TRANSLATION_EXTENSIONS = ["txt", "md"];
+
+    // Language names, in their own language
+    const LANGUAGES = {
+        en: "English",
+        es: "Español",
+        de: "Deutsch",
+    };
+
+    // UI strings by locale. {name} is replaced with the matching parameter.
+    const STRINGS = {
+        en: {
+            "item.paste": "⌘ Paste the {id} on the frontmost app",
+            "item.view": "⌥ View the detailed {id} on the Text Viewer",
+            "item.header": "⇧ Copy the {id} source file header",
+            "item.save": "⌃ Save the {id} as a license file in the project folder",
+            "item.manifests": "⌃⇧ Preview setting {id} as the license in the project's package.json, Cargo.toml, pyproject.toml, composer.json or gemspec",
+            "item.manifests_write": "⌃⇧⌘ Set {id} as the license in the project's manifests",
+            "item.pin": "⌘⇧ Pin the {id} to the top of the list",
+            "item.unpin": "⌘⇧ Unpin the {id}",
+            "item.overwrite": "⌃⌘ Save the {id} and overwrite the existing license file",
+            "item.format": "{keys} Copy the {id} {format}",
+            "item.pinned": "📌 Pinned · {category}",
+            "item.recent": "Recently used {age} · {category}",
+            "item.custom": "Custom template · {category}",
+            "format.wrapped": "as plain text wrapped at the configured width",
+            "format.markdown": "as Markdown",
+            "format.html": "as HTML",
+            "format.rtf": "as rich text for pasting into editors",
+            "format.json": "as JSON with its metadata and substitutions",
+            "category.network-copyleft": "Strongest Copyleft License",
+            "category.strong-copyleft": "Strong Copyleft License",
+            "category.weak-copyleft": "Weak Copyleft License",
+            "category.public-domain": "No Conditions Whatsoever",
+            "category.permissive": "Permissive License",
+            "category.unknown": "Uncategorized License (details not cached yet)",
+            "age.now": "just now",
+            "age.minutes": "{n} min ago",
+            "age.hours": "{n} h ago",
+            "age.day": "1 day ago",
+            "age.days": "{n} days ago",
+            "view.warnings": "Warnings",
+            "view.custom": "Custom Template",
+            "view.custom_text": "From `{path}`, not an official choosealicense.com license.",
+            "view.unfilled": "Unfilled Placeholders",
+            "view.unfilled_text": "Set the matching workflow variables before using this text:",
+            "view.description": "Description",
+            "view.permissions": "Permissions",
+            "view.conditions": "Conditions",
+            "view.limitations": "Limitations",
+            "view.how_to_apply": "How to Apply",
+            "view.create_file": "Create a text file named `{file}` in the root of your source code and copy the text of the license into it.",
+            "view.header_standard": "{id} asks for this notice at the top of each source file:",
+            "view.header_spdx": "{id} doesn't require a notice in each source file. This header marks a file's license for tools that read SPDX identifiers:",
+            "view.license_text": "License Text",
+            "view.highlight_note": "Filled-in values are in bold, unfilled placeholders are marked with ⚠️.",
+            "view.translation": "Unofficial Translation ({language})",
+            "view.translation_note": "This translation is for reference only and is not legally binding. Only the official English text above applies.",
+            "view.view_on_site": "View on ChooseALicense.com",
+            "item.template_error": "Invalid license template: {file}",
+            "search.matches": "Matches {facet}: {text} · {subtitle}",
+            "search.permission": "permission",
+            "search.condition": "condition",
+            "search.limitation": "limitation",
+            "search.description": "description",
+            "search.text": "text",
+            "search.none": "No matching licenses",
+            "search.none_text": "Nothing matches \"{query}\" in names, descriptions, rules or license texts",
+            "search.none_in_categories": "Nothing in {categories} matches \"{query}\"",
+            "expression.invalid": "Invalid SPDX expression",
+            "expression.copy": "↩ Copy a combined license for {names}",
+            "expression.paste": "⌘ Paste the combined {id} license on the frontmost app",
+            "expression.save": "⌃ Save one LICENSE-<ID> file per license in the project folder",
+            "expression.manifests": "⌃⇧ Preview setting {id} as the license in the project's manifests",
+            "expression.manifests_write": "⌃⇧⌘ Set {id} as the license in the project's manifests",
+            "wizard.copyleft": "Do you require derivatives to be open?",
+            "wizard.copyleft.yes": "Yes, changes must be shared under the same terms",
+            "wizard.copyleft.yes.reason": "derivatives must stay open source",
+            "wizard.copyleft.no": "No, derivatives may be closed source",
+            "wizard.copyleft.no.reason": "derivatives may be closed source",
+            "wizard.scope": "How much of a derivative must stay open?",
+            "wizard.scope.whole": "The whole derivative work",
+            "wizard.scope.whole.reason": "the whole derivative keeps the license",
+            "wizard.scope.files": "Only the licensed files or library",
+            "wizard.scope.files.reason": "only the licensed files or library must stay open",
+            "wizard.network": "Network use counts as distribution?",
+            "wizard.network.yes": "Yes, users of a hosted service get the source too",
+            "wizard.network.yes.reason": "network users are entitled to the source",
+            "wizard.network.no": "No, only distributing copies triggers the terms",
+            "wizard.network.no.reason": "running it as a service is not distribution",
+            "wizard.patent": "Need a patent grant?",
+            "wizard.patent.yes": "Yes, contributors must grant patent rights",
+            "wizard.patent.yes.reason": "contributors grant patent rights",
+            "wizard.patent.no": "No, patents should stay out of the license",
+            "wizard.patent.no.reason": "no express patent grant",
+            "wizard.credit": "Must copies keep your copyright notice?",
+            "wizard.credit.yes": "Yes, give me credit",
+            "wizard.credit.yes.reason": "copies keep your copyright notice",
+            "wizard.credit.no": "No, anyone may use it without attribution",
+            "wizard.credit.no.reason": "no attribution required",
+            "wizard.any": "Doesn't matter",
+            "wizard.left": "{n} of {total} licenses left: {ids}",
+            "wizard.none_left": "No license fits this answer",
+            "wizard.no_fit": "No license fits all your answers",
+            "wizard.no_fit_text": "Go back and answer \"{any}\" to one of the questions",
+            "wizard.back": "Back",
+            "wizard.back_text": "Change your answer to \"{question}\"",
+            "wizard.fits": "Fits: {reasons}",
+            "wizard.unavailable": "License details are not available yet",
+            "wizard.unavailable_text": "The wizard needs the bundled snapshot or cached licenses. Check :cache.",
+            "pick.add": "Add {name}",
+            "pick.unknown": "Unknown license \"{id}\"",
+            "compare.title": "Compare {ids}",
+            "compare.view": "⌥ View the comparison on the Text Viewer",
+            "compare.view_side": "⌥ View {ids} side by side on the Text Viewer",
+            "compare.with": "Compare with {ids}",
+            "compare.choose": "Choose at least two licenses to compare",
+            "compare.unknown_text": "Use SPDX IDs or keys, e.g. :compare MPL-2.0 LGPL-3.0",
+            "compat.compatible": "✅ Compatible",
+            "compat.conditional": "⚠️ Conditional",
+            "compat.incompatible": "❌ Incompatible",
+            "compat.unknown": "❓ Unknown",
+            "compat.title": "{verdict}: {inbound} code in a {outbound} project",
+            "compat.view": "⌥ View the compatibility report on the Text Viewer",
+            "compat.choose_inbound": "Choose the inbound license, the one of the code you want to include",
+            "compat.choose_outbound": "Choose the project license to include {id} code in",
+            "compat.unknown_text": "Use SPDX IDs or keys, e.g. :compat Apache-2.0 GPL-2.0",
+            "view.error": "Error",
+            "view.no_body": "No license body provided.",
+            "view.no_key": "No license key found in workflow variables.",
+            "view.license_not_found": "License \"{key}\" not found in cache or bundled licenses.",
+            "view.licenses_not_found": "Licenses not found in cache or bundled licenses: {keys}.",
+            "view.compare_choose": "Choose at least two licenses to compare.",
+            "view.the_license": "the license",
+            "view.error_title": "Could not show {name}",
+            "view.error_default": "The license could not be processed.",
+            "view.try_again": "Try Again",
+            "view.retry": "Press ⌥↩ on {name} again to retry. Licenses used before and the bundled ones work offline.",
+            "view.retry_cache": "Type `:cache` in Alfred to see the cache status, and select **Refresh cache now** to fetch the licenses again.",
+            "view.cache_status": "Cache Status",
+            "view.cache_fresh": "{name}: {count} licenses, fresh, fetched {date}",
+            "view.cache_stale": "{name}: {count} licenses, stale, fetched {date}",
+            "view.cache_missing": "{name}: not cached yet",
+            "view.snapshot": "Bundled snapshot: {count} licenses",
+            "view.no_snapshot": "No bundled snapshot",
+            "view.refreshing": "A refresh is running in the background",
+            "view.no_description": "No description available.",
+            "view.rules": "Rules",
+            "view.rules_differ": "{n} rules differ, marked with ⚠️.",
+            "view.view_on_site_links": "View on ChooseALicense.com: {links}",
+            "view.compat_title": "{inbound} code in a {outbound} project",
+            "view.conditions_of": "Conditions of {id}",
+            "view.compat_disclaimer": "This is general guidance from the workflow's compatibility matrix, not legal advice.",
+            "cache.count": "{name}: {count} licenses",
+            "cache.fresh": "Fresh, fetched {age} from {source}",
+            "cache.stale": "Stale, fetched {age} from {source}",
+            "cache.missing": "Not cached yet",
+            "cache.newer": "Written by a newer version of the workflow, left untouched",
+            "cache.generated": "Generated {date}",
+            "cache.generate": "Generate data/licenses.json with scripts/build_snapshot.js",
+            "cache.quarantined": "{n} corrupt cache files quarantined",
+            "cache.refreshing": "Refreshing…",
+            "cache.refresh": "Refresh cache now",
+            "cache.refresh_text": "Revalidate every cached license in {dir}",
+            "refresh.running": "A refresh is already running",
+            "refresh.summary": "{updated} updated, {unchanged} unchanged, {fresh} still fresh",
+            "refresh.summary_failed": "{updated} updated, {unchanged} unchanged, {fresh} still fresh, {failed} failed ({error})",
+            "expression.ends_early": "Expression ends too early",
+            "expression.missing_paren": "Missing closing parenthesis",
+            "expression.unexpected": "Unexpected \"{token}\"",
+            "expression.unknown_license": "Unknown license \"{id}\"",
+            "expression.with_single": "WITH must follow a single license",
+            "expression.unknown_exception": "Unknown exception \"{id}\"",
+            "http.network": "Could not reach the GitHub API",
+            "http.network_text": "{message}. Check your connection, proxy_url or api_base_url.",
+            "http.rate_limit": "GitHub API rate limit exceeded",
+            "http.rate_limit_text": "Set a GITHUB_TOKEN workflow variable for a higher limit.",
+            "http.rate_limit_reset_text": "Set a GITHUB_TOKEN workflow variable for a higher limit. Resets at {time}.",
+            "http.unauthorized": "GitHub rejected the token",
+            "http.unauthorized_text": "Check the GITHUB_TOKEN workflow variable.",
+            "http.not_found": "Not found on the GitHub API",
+            "http.not_found_text": "{message}. Check api_base_url.",
+            "http.error": "GitHub API error",
+            "http.error_status": "GitHub API error (HTTP {status})",
+            "http.failed": "Error fetching licenses",
+            "http.failed_text": "Please try again.",
+            "http.curl.5": "Could not resolve the proxy",
+            "http.curl.6": "Could not resolve the API host",
+            "http.curl.7": "Could not connect to the API",
+            "http.curl.28": "The request timed out",
+            "http.curl.35": "TLS handshake failed",
+            "http.curl.60": "The API certificate could not be verified",
+            "http.curl_failed": "Network request failed (curl exit {code})",
+            "http.status": "GitHub API returned HTTP {status}",
+            "http.invalid": "GitHub API returned an invalid response",
+            "http.not_a_list": "GitHub API did not return a license list",
+            "http.not_a_license": "GitHub API did not return the {key} license",
+            "http.unexpected": "Unexpected response for {path}",
+            "pin.no_key": "No license key provided",
+            "pin.pinned": "Pinned {name} to the top of the list",
+            "pin.unpinned": "Unpinned {name}",
+            "copy.failed": "The license could not be processed",
+            "copy.nothing": "Nothing to copy",
+            "copy.license": "License",
+            "copy.copied": "Copied {name}",
+            "copy.copied_as": "Copied {name} as {format}",
+            "compat.reason.same": "Both use the same license.",
+            "compat.reason.permissive": "The inbound license only asks to keep its copyright and license notices, which any project license allows.",
+            "compat.reason.not_in_matrix": "This combination isn't in the compatibility matrix yet. Check both license texts or ask a lawyer.",
+            "compat.reason.apache-2.0.gpl-2.0": "Apache-2.0's patent termination and indemnity terms are restrictions the GPL-2.0 family doesn't allow. A GPL-2.0-or-later project can include it by distributing under GPL-3.0.",
+            "compat.reason.bsd-4-clause": "BSD-4-Clause only asks to keep its notices and to credit the authors in advertising material.",
+            "compat.reason.bsd-4-clause.gnu": "The advertising clause of BSD-4-Clause is an extra restriction the GNU licenses don't allow.",
+            "compat.reason.gpl-2.0": "GPL-2.0 requires the whole combined work to be released under GPL-2.0.",
+            "compat.reason.gpl-2.0.version-3": "Only if the library is GPL-2.0-or-later. GPL-2.0-only code can't be relicensed under version 3.",
+            "compat.reason.gpl-3.0": "GPL-3.0 requires the whole combined work to be released under GPL-3.0.",
+            "compat.reason.gpl-3.0.gpl-2.0": "GPL-3.0 code can't be distributed under GPL-2.0. A GPL-2.0-or-later project can move to GPL-3.0 instead.",
+            "compat.reason.gpl-3.0.agpl-3.0": "Section 13 of both licenses allows combining GPL-3.0 and AGPL-3.0 code, each part keeps its license.",
+            "compat.reason.agpl-3.0": "AGPL-3.0 requires the combined work to be AGPL-3.0, including offering the source to network users.",
+            "compat.reason.agpl-3.0.gpl-3.0": "Section 13 allows combining them, but users interacting with the combined work over a network must be offered the source of the AGPL-3.0 part.",
+            "compat.reason.lgpl-2.1": "Allowed when the library stays a separate, replaceable library (e.g., dynamically linked) and changes to the library itself are released under LGPL-2.1.",
+            "compat.reason.lgpl-2.1.gpl": "Section 3 of LGPL-2.1 allows converting the code to GPL-2.0 or any later version.",
+            "compat.reason.lgpl-2.1.lgpl-3.0": "Only if the library is LGPL-2.1-or-later. Otherwise convert it to GPL and keep it a separate library.",
+            "compat.reason.lgpl-3.0": "Allowed when the library stays a separate, replaceable library (e.g., dynamically linked) and changes to the library itself are released under LGPL-3.0.",
+            "compat.reason.lgpl-3.0.gpl-3.0": "LGPL-3.0 is GPL-3.0 with extra permissions, so the code can be used under GPL-3.0.",
+            "compat.reason.lgpl-3.0.version-2": "LGPL-3.0 is GPL-3.0 with extra permissions, which a version 2-only project can't accept.",
+            "compat.reason.mpl-2.0": "MPL-2.0 is file-level copyleft: the MPL files and changes to them stay MPL-2.0 with their source available, the rest of the project keeps its own license.",
+            "compat.reason.mpl-2.0.gnu": "Section 3.3 of MPL-2.0 allows distributing it under the GNU licenses in a Larger Work, unless the files are marked \"Incompatible With Secondary Licenses\".",
+            "compat.reason.epl-1.0": "EPL-1.0 is weak copyleft: changes to EPL-1.0 code stay EPL-1.0, separate modules can use their own license.",
+            "compat.reason.epl-1.0.gnu": "EPL-1.0's choice of law and patent terms are restrictions the GNU licenses don't allow.",
+            "compat.reason.epl-2.0": "EPL-2.0 is weak copyleft: changes to EPL-2.0 code stay EPL-2.0, separate modules can use their own license.",
+            "compat.reason.epl-2.0.gnu": "Only if the code names GPL-2.0 or later as a Secondary License, which EPL-2.0 allows but doesn't require.",
+            "compat.reason.eupl-1.2": "EUPL-1.2 is copyleft: derivative works stay EUPL-1.2 unless the outbound license is in its appendix of compatible licenses.",
+            "compat.reason.eupl-1.2.appendix": "Listed in the EUPL-1.2 appendix: a derivative that has to be merged with code under this license may be distributed under it.",
+            "compat.reason.cc-by-sa-4.0": "ShareAlike requires adaptations to be released under CC BY-SA 4.0 or a license Creative Commons declared compatible.",
+            "compat.reason.cc-by-sa-4.0.gpl-3.0": "Creative Commons declared GPL-3.0 compatible with CC BY-SA 4.0, in one direction only.",
+        },
+        es: {
+            "item.paste": "⌘ Pegar {id} en la aplicación activa",
+            "item.view": "⌥ Ver {id} en detalle en el Text Viewer",
+            "item.header": "⇧ Copiar la cabecera de {id} para archivos de código",
+            "item.save": "⌃ Guardar {id} como archivo de licencia en la carpeta del proyecto",
+            "item.manifests": "⌃⇧ Previsualizar {id} como licencia en package.json, Cargo.toml, pyproject.toml, composer.json o gemspec del proyecto",
+            "item.manifests_write": "⌃⇧⌘ Poner {id} como licencia en los manifiestos del proyecto",
+            "item.pin": "⌘⇧ Fijar {id} al principio de la lista",
+            "item.unpin": "⌘⇧ Dejar de fijar {id}",
+            "item.overwrite": "⌃⌘ Guardar {id} y sobrescribir el archivo de licencia existente",
+            "item.format": "{keys} Copiar {id} {format}",
+            "item.pinned": "📌 Fijada · {category}",
+            "item.recent": "Usada {age} · {category}",
+            "item.custom": "Plantilla propia · {category}",
+            "format.wrapped": "como texto sin formato ajustado al ancho configurado",
+            "format.markdown": "como Markdown",
+            "format.html": "como HTML",
+            "format.rtf": "como texto enriquecido para pegar en editores",
+            "format.json": "como JSON con sus metadatos y sustituciones",
+            "category.network-copyleft": "Licencia copyleft más estricta",
+            "category.strong-copyleft": "Licencia copyleft fuerte",
+            "category.weak-copyleft": "Licencia copyleft débil",
+            "category.public-domain": "Sin ninguna condición",
+            "category.permissive": "Licencia permisiva",
+            "category.unknown": "Licencia sin categoría (faltan los detalles en caché)",
+            "age.now": "ahora mismo",
+            "age.minutes": "hace {n} min",
+            "age.hours": "hace {n} h",
+            "age.day": "hace 1 día",
+            "age.days": "hace {n} días",
+            "view.warnings": "Advertencias",
+            "view.custom": "Plantilla propia",
+            "view.custom_text": "De `{path}`, no es una licencia oficial de choosealicense.com.",
+            "view.unfilled": "Marcadores sin rellenar",
+            "view.unfilled_text": "Configura las variables del workflow correspondientes antes de usar este texto:",
+            "view.description": "Descripción",
+            "view.permissions": "Permisos",
+            "view.conditions": "Condiciones",
+            "view.limitations": "Limitaciones",
+            "view.how_to_apply": "Cómo aplicarla",
+            "view.create_file": "Crea un archivo de texto llamado `{file}` en la raíz de tu código fuente y copia en él el texto de la licencia.",
+            "view.header_standard": "{id} pide este aviso al principio de cada archivo de código:",
+            "view.header_spdx": "{id} no exige un aviso en cada archivo de código. Esta cabecera indica la licencia del archivo a las herramientas que leen identificadores SPDX:",
+            "view.license_text": "Texto de la licencia",
+            "view.highlight_note": "Los valores rellenados están en negrita y los marcadores sin rellenar, marcados con ⚠️.",
+            "view.translation": "Traducción no oficial ({language})",
+            "view.translation_note": "Esta traducción es solo de referencia y no es jurídicamente vinculante. Solo es válido el texto oficial en inglés de arriba.",
+            "view.view_on_site": "Ver en ChooseALicense.com",
+            "item.template_error": "Plantilla de licencia no válida: {file}",
+            "search.matches": "Coincide en {facet}: {text} · {subtitle}",
+            "search.permission": "permiso",
+            "search.condition": "condición",
+            "search.limitation": "limitación",
+            "search.description": "descripción",
+            "search.text": "texto",
+            "search.none": "Ninguna licencia coincide",
+            "search.none_text": "Nada coincide con \"{query}\" en nombres, descripciones, reglas o textos de licencia",
+            "search.none_in_categories": "Nada en {categories} coincide con \"{query}\"",
+            "expression.invalid": "Expresión SPDX no válida",
+            "expression.copy": "↩ Copiar una licencia combinada de {names}",
+            "expression.paste": "⌘ Pegar la licencia combinada {id} en la aplicación activa",
+            "expression.save": "⌃ Guardar un archivo LICENSE-<ID> por licencia en la carpeta del proyecto",
+            "expression.manifests": "⌃⇧ Previsualizar {id} como licencia en los manifiestos del proyecto",
+            "expression.manifests_write": "⌃⇧⌘ Poner {id} como licencia en los manifiestos del proyecto",
+            "wizard.copyleft": "¿Las obras derivadas deben ser abiertas?",
+            "wizard.copyleft.yes": "Sí, los cambios se comparten con los mismos términos",
+            "wizard.copyleft.yes.reason": "las obras derivadas siguen siendo de código abierto",
+            "wizard.copyleft.no": "No, las obras derivadas pueden ser cerradas",
+            "wizard.copyleft.no.reason": "las obras derivadas pueden ser cerradas",
+            "wizard.scope": "¿Cuánto de una obra derivada debe seguir abierto?",
+            "wizard.scope.whole": "Toda la obra derivada",
+            "wizard.scope.whole.reason": "toda la obra derivada conserva la licencia",
+            "wizard.scope.files": "Solo los archivos o la biblioteca con la licencia",
+            "wizard.scope.files.reason": "solo los archivos o la biblioteca con la licencia siguen abiertos",
+            "wizard.network": "¿El uso en red cuenta como distribución?",
+            "wizard.network.yes": "Sí, los usuarios de un servicio alojado también reciben el código",
+            "wizard.network.yes.reason": "los usuarios en red tienen derecho al código",
+            "wizard.network.no": "No, solo distribuir copias activa los términos",
+            "wizard.network.no.reason": "ofrecerlo como servicio no es distribuirlo",
+            "wizard.patent": "¿Necesitas una concesión de patentes?",
+            "wizard.patent.yes": "Sí, los contribuidores deben conceder derechos de patente",
+            "wizard.patent.yes.reason": "los contribuidores conceden derechos de patente",
+            "wizard.patent.no": "No, las patentes deben quedar fuera de la licencia",
+            "wizard.patent.no.reason": "sin concesión expresa de patentes",
+            "wizard.credit": "¿Las copias deben conservar tu aviso de copyright?",
+            "wizard.credit.yes": "Sí, quiero el reconocimiento",
+            "wizard.credit.yes.reason": "las copias conservan tu aviso de copyright",
+            "wizard.credit.no": "No, cualquiera puede usarlo sin atribución",
+            "wizard.credit.no.reason": "no exige atribución",
+            "wizard.any": "Da igual",
+            "wizard.left": "Quedan {n} de {total} licencias: {ids}",
+            "wizard.none_left": "Ninguna licencia encaja con esta respuesta",
+            "wizard.no_fit": "Ninguna licencia encaja con todas tus respuestas",
+            "wizard.no_fit_text": "Vuelve atrás y responde \"{any}\" a alguna de las preguntas",
+            "wizard.back": "Atrás",
+            "wizard.back_text": "Cambiar tu respuesta a \"{question}\"",
+            "wizard.fits": "Encaja: {reasons}",
+            "wizard.unavailable": "Los detalles de las licencias aún no están disponibles",
+            "wizard.unavailable_text": "El asistente necesita la copia incluida o licencias en caché. Consulta :cache.",
+            "pick.add": "Añadir {name}",
+            "pick.unknown": "Licencia desconocida \"{id}\"",
+            "compare.title": "Comparar {ids}",
+            "compare.view": "⌥ Ver la comparación en el Text Viewer",
+            "compare.view_side": "⌥ Ver {ids} lado a lado en el Text Viewer",
+            "compare.with": "Comparar con {ids}",
+            "compare.choose": "Elige al menos dos licencias para comparar",
+            "compare.unknown_text": "Usa identificadores SPDX o claves, p. ej. :compare MPL-2.0 LGPL-3.0",
+            "compat.compatible": "✅ Compatible",
+            "compat.conditional": "⚠️ Con condiciones",
+            "compat.incompatible": "❌ Incompatible",
+            "compat.unknown": "❓ Desconocido",
+            "compat.title": "{verdict}: código {inbound} en un proyecto {outbound}",
+            "compat.view": "⌥ Ver el informe de compatibilidad en el Text Viewer",
+            "compat.choose_inbound": "Elige la licencia de entrada, la del código que quieres incluir",
+            "compat.choose_outbound": "Elige la licencia del proyecto en el que incluir código {id}",
+            "compat.unknown_text": "Usa identificadores SPDX o claves, p. ej. :compat Apache-2.0 GPL-2.0",
+            "view.error": "Error",
+            "view.no_body": "No se recibió el texto de la licencia.",
+            "view.no_key": "No hay clave de licencia en las variables del workflow.",
+            "view.license_not_found": "La licencia \"{key}\" no está en la caché ni entre las incluidas.",
+            "view.licenses_not_found": "Licencias que no están en la caché ni entre las incluidas: {keys}.",
+            "view.compare_choose": "Elige al menos dos licencias para comparar.",
+            "view.the_license": "la licencia",
+            "view.error_title": "No se pudo mostrar {name}",
+            "view.error_default": "No se pudo procesar la licencia.",
+            "view.try_again": "Vuelve a intentarlo",
+            "view.retry": "Pulsa ⌥↩ sobre {name} otra vez para reintentarlo. Las licencias ya usadas y las incluidas funcionan sin conexión.",
+            "view.retry_cache": "Escribe `:cache` en Alfred para ver el estado de la caché y elige **Refresh cache now** para volver a descargar las licencias.",
+            "view.cache_status": "Estado de la caché",
+            "view.cache_fresh": "{name}: {count} licencias, al día, descargadas el {date}",
+            "view.cache_stale": "{name}: {count} licencias, caducadas, descargadas el {date}",
+            "view.cache_missing": "{name}: aún no está en caché",
+            "view.snapshot": "Copia incluida: {count} licencias",
+            "view.no_snapshot": "No hay copia incluida",
+            "view.refreshing": "Se está actualizando en segundo plano",
+            "view.no_description": "Sin descripción.",
+            "view.rules": "Reglas",
+            "view.rules_differ": "{n} reglas difieren, marcadas con ⚠️.",
+            "view.view_on_site_links": "Ver en ChooseALicense.com: {links}",
+            "view.compat_title": "Código {inbound} en un proyecto {outbound}",
+            "view.conditions_of": "Condiciones de {id}",
+            "view.compat_disclaimer": "Esto es una orientación general de la matriz de compatibilidad del workflow, no asesoramiento legal.",
+            "cache.count": "{name}: {count} licencias",
+            "cache.fresh": "Actual, descargada {age} de {source}",
+            "cache.stale": "Desactualizada, descargada {age} de {source}",
+            "cache.missing": "Aún no está en caché",
+            "cache.newer": "Escrita por una versión más reciente del workflow, no se modifica",
+            "cache.generated": "Generada el {date}",
+            "cache.generate": "Genera data/licenses.json con scripts/build_snapshot.js",
+            "cache.quarantined": "{n} archivos de caché dañados en cuarentena",
+            "cache.refreshing": "Actualizando…",
+            "cache.refresh": "Actualizar la caché ahora",
+            "cache.refresh_text": "Revalidar todas las licencias en caché de {dir}",
+            "refresh.running": "Ya hay una actualización en curso",
+            "refresh.summary": "{updated} actualizadas, {unchanged} sin cambios, {fresh} aún actuales",
+            "refresh.summary_failed": "{updated} actualizadas, {unchanged} sin cambios, {fresh} aún actuales, {failed} fallidas ({error})",
+            "expression.ends_early": "La expresión termina antes de tiempo",
+            "expression.missing_paren": "Falta un paréntesis de cierre",
+            "expression.unexpected": "\"{token}\" inesperado",
+            "expression.unknown_license": "Licencia desconocida \"{id}\"",
+            "expression.with_single": "WITH debe seguir a una sola licencia",
+            "expression.unknown_exception": "Excepción desconocida \"{id}\"",
+            "http.network": "No se pudo conectar con la API de GitHub",
+            "http.network_text": "{message}. Revisa tu conexión, proxy_url o api_base_url.",
+            "http.rate_limit": "Se superó el límite de peticiones de la API de GitHub",
+            "http.rate_limit_text": "Define la variable GITHUB_TOKEN del workflow para un límite más alto.",
+            "http.rate_limit_reset_text": "Define la variable GITHUB_TOKEN del workflow para un límite más alto. Se restablece a las {time}.",
+            "http.unauthorized": "GitHub rechazó el token",
+            "http.unauthorized_text": "Revisa la variable GITHUB_TOKEN del workflow.",
+            "http.not_found": "No se encontró en la API de GitHub",
+            "http.not_found_text": "{message}. Revisa api_base_url.",
+            "http.error": "Error de la API de GitHub",
+            "http.error_status": "Error de la API de GitHub (HTTP {status})",
+            "http.failed": "Error al obtener las licencias",
+            "http.failed_text": "Inténtalo de nuevo.",
+            "http.curl.5": "No se pudo resolver el proxy",
+            "http.curl.6": "No se pudo resolver el host de la API",
+            "http.curl.7": "No se pudo conectar con la API",
+            "http.curl.28": "La petición superó el tiempo de espera",
+            "http.curl.35": "Falló el handshake TLS",
+            "http.curl.60": "No se pudo verificar el certificado de la API",
+            "http.curl_failed": "Falló la petición de red (curl terminó con {code})",
+            "http.status": "La API de GitHub devolvió HTTP {status}",
+            "http.invalid": "La API de GitHub devolvió una respuesta no válida",
+            "http.not_a_list": "La API de GitHub no devolvió una lista de licencias",
+            "http.not_a_license": "La API de GitHub no devolvió la licencia {key}",
+            "http.unexpected": "Respuesta inesperada para {path}",
+            "pin.no_key": "No se indicó ninguna clave de licencia",
+            "pin.pinned": "{name} fijada al principio de la lista",
+            "pin.unpinned": "{name} ya no está fijada",
+            "copy.failed": "No se pudo procesar la licencia",
+            "copy.nothing": "Nada que copiar",
+            "copy.license": "Licencia",
+            "copy.copied": "{name} copiada",
+            "copy.copied_as": "{name} copiada como {format}",
+            "compat.reason.same": "Ambos usan la misma licencia.",
+            "compat.reason.permissive": "La licencia entrante solo pide conservar sus avisos de copyright y de licencia, algo que cualquier licencia del proyecto permite.",
+            "compat.reason.not_in_matrix": "Esta combinación aún no está en la matriz de compatibilidad. Revisa los textos de ambas licencias o consulta a un abogado.",
+            "compat.reason.apache-2.0.gpl-2.0": "Las cláusulas de terminación por patentes e indemnización de Apache-2.0 son restricciones que la familia GPL-2.0 no permite. Un proyecto GPL-2.0-or-later puede incluirlo si se distribuye bajo GPL-3.0.",
+            "compat.reason.bsd-4-clause": "BSD-4-Clause solo pide conservar sus avisos y mencionar a los autores en el material publicitario.",
+            "compat.reason.bsd-4-clause.gnu": "La cláusula de publicidad de BSD-4-Clause es una restricción adicional que las licencias GNU no permiten.",
+            "compat.reason.gpl-2.0": "GPL-2.0 exige que toda la obra combinada se publique bajo GPL-2.0.",
+            "compat.reason.gpl-2.0.version-3": "Solo si la biblioteca es GPL-2.0-or-later. El código GPL-2.0-only no puede relicenciarse bajo la versión 3.",
+            "compat.reason.gpl-3.0": "GPL-3.0 exige que toda la obra combinada se publique bajo GPL-3.0.",
+            "compat.reason.gpl-3.0.gpl-2.0": "El código GPL-3.0 no puede distribuirse bajo GPL-2.0. Un proyecto GPL-2.0-or-later puede pasarse a GPL-3.0.",
+            "compat.reason.gpl-3.0.agpl-3.0": "La sección 13 de ambas licencias permite combinar código GPL-3.0 y AGPL-3.0, y cada parte conserva su licencia.",
+            "compat.reason.agpl-3.0": "AGPL-3.0 exige que la obra combinada sea AGPL-3.0, incluida la obligación de ofrecer el código fuente a los usuarios en red.",
+            "compat.reason.agpl-3.0.gpl-3.0": "La sección 13 permite combinarlas, pero a los usuarios que interactúan con la obra combinada por red se les debe ofrecer el código fuente de la parte AGPL-3.0.",
+            "compat.reason.lgpl-2.1": "Se permite si la biblioteca sigue siendo una biblioteca separada y reemplazable (p. ej., enlazada dinámicamente) y los cambios en la propia biblioteca se publican bajo LGPL-2.1.",
+            "compat.reason.lgpl-2.1.gpl": "La sección 3 de LGPL-2.1 permite convertir el código a GPL-2.0 o cualquier versión posterior.",
+            "compat.reason.lgpl-2.1.lgpl-3.0": "Solo si la biblioteca es LGPL-2.1-or-later. Si no, conviértela a GPL y mantenla como biblioteca separada.",
+            "compat.reason.lgpl-3.0": "Se permite si la biblioteca sigue siendo una biblioteca separada y reemplazable (p. ej., enlazada dinámicamente) y los cambios en la propia biblioteca se publican bajo LGPL-3.0.",
+            "compat.reason.lgpl-3.0.gpl-3.0": "LGPL-3.0 es GPL-3.0 con permisos adicionales, así que el código puede usarse bajo GPL-3.0.",
+            "compat.reason.lgpl-3.0.version-2": "LGPL-3.0 es GPL-3.0 con permisos adicionales, algo que un proyecto solo de la versión 2 no puede aceptar.",
+            "compat.reason.mpl-2.0": "MPL-2.0 es copyleft a nivel de archivo: los archivos MPL y sus cambios siguen bajo MPL-2.0 con su código fuente disponible, y el resto del proyecto conserva su propia licencia.",
+            "compat.reason.mpl-2.0.gnu": "La sección 3.3 de MPL-2.0 permite distribuirlo bajo las licencias GNU dentro de una obra mayor, salvo que los archivos estén marcados como \"Incompatible With Secondary Licenses\".",
+            "compat.reason.epl-1.0": "EPL-1.0 es copyleft débil: los cambios en código EPL-1.0 siguen bajo EPL-1.0, y los módulos separados pueden usar su propia licencia.",
+            "compat.reason.epl-1.0.gnu": "La elección de ley aplicable y las cláusulas de patentes de EPL-1.0 son restricciones que las licencias GNU no permiten.",
+            "compat.reason.epl-2.0": "EPL-2.0 es copyleft débil: los cambios en código EPL-2.0 siguen bajo EPL-2.0, y los módulos separados pueden usar su propia licencia.",
+            "compat.reason.epl-2.0.gnu": "Solo si el código nombra GPL-2.0 o posterior como Secondary License, algo que EPL-2.0 permite pero no exige.",
+            "compat.reason.eupl-1.2": "EUPL-1.2 es copyleft: las obras derivadas siguen bajo EUPL-1.2 salvo que la licencia de salida esté en su apéndice de licencias compatibles.",
+            "compat.reason.eupl-1.2.appendix": "Figura en el apéndice de EUPL-1.2: una obra derivada que deba combinarse con código bajo esta licencia puede distribuirse bajo ella.",
+            "compat.reason.cc-by-sa-4.0": "ShareAlike exige que las adaptaciones se publiquen bajo CC BY-SA 4.0 o una licencia que Creative Commons haya declarado compatible.",
+            "compat.reason.cc-by-sa-4.0.gpl-3.0": "Creative Commons declaró GPL-3.0 compatible con CC BY-SA 4.0, solo en una dirección.",
+        },
+        de: {
+            "item.paste": "⌘ {id} in die aktive App einfügen",
+            "item.view": "⌥ {id} ausführlich im Text Viewer anzeigen",
+            "item.header": "⇧ Quelltext-Header für {id} kopieren",
+            "item.save": "⌃ {id} als Lizenzdatei im Projektordner speichern",
+            "item.manifests": "⌃⇧ Vorschau: {id} als Lizenz in package.json, Cargo.toml, pyproject.toml, composer.json oder gemspec des Projekts",
+            "item.manifests_write": "⌃⇧⌘ {id} als Lizenz in den Manifesten des Projekts eintragen",
+            "item.pin": "⌘⇧ {id} oben in der Liste anheften",
+            "item.unpin": "⌘⇧ {id} nicht mehr anheften",
+            "item.overwrite": "⌃⌘ {id} speichern und die vorhandene Lizenzdatei überschreiben",
+            "item.format": "{keys} {id} {format} kopieren",
+            "item.pinned": "📌 Angeheftet · {category}",
+            "item.recent": "Zuletzt verwendet {age} · {category}",
+            "item.custom": "Eigene Vorlage · {category}",
+            "format.wrapped": "als reinen Text mit Umbruch bei der eingestellten Breite",
+            "format.markdown": "als Markdown",
+            "format.html": "als HTML",
+            "format.rtf": "als formatierten Text zum Einfügen in Editoren",
+            "format.json": "als JSON mit Metadaten und Ersetzungen",
+            "category.network-copyleft": "Strengste Copyleft-Lizenz",
+            "category.strong-copyleft": "Starke Copyleft-Lizenz",
+            "category.weak-copyleft": "Schwache Copyleft-Lizenz",
+            "category.public-domain": "Keinerlei Bedingungen",
+            "category.permissive": "Freizügige Lizenz",
+            "category.unknown": "Lizenz ohne Kategorie (Details noch nicht im Cache)",
+            "age.now": "gerade eben",
+            "age.minutes": "vor {n} Min.",
+            "age.hours": "vor {n} Std.",
+            "age.day": "vor 1 Tag",
+            "age.days": "vor {n} Tagen",
+            "view.warnings": "Warnungen",
+            "view.custom": "Eigene Vorlage",
+            "view.custom_text": "Aus `{path}`, keine offizielle Lizenz von choosealicense.com.",
+            "view.unfilled": "Nicht ausgefüllte Platzhalter",
+            "view.unfilled_text": "Setze die passenden Workflow-Variablen, bevor du diesen Text verwendest:",
+            "view.description": "Beschreibung",
+            "view.permissions": "Erlaubnisse",
+            "view.conditions": "Bedingungen",
+            "view.limitations": "Einschränkungen",
+            "view.how_to_apply": "Anwendung",
+            "view.create_file": "Lege im Stammverzeichnis deines Quellcodes eine Textdatei namens `{file}` an und kopiere den Lizenztext hinein.",
+            "view.header_standard": "{id} verlangt diesen Hinweis am Anfang jeder Quelldatei:",
+            "view.header_spdx": "{id} verlangt keinen Hinweis in jeder Quelldatei. Dieser Header kennzeichnet die Lizenz einer Datei für Werkzeuge, die SPDX-Kennungen lesen:",
+            "view.license_text": "Lizenztext",
+            "view.highlight_note": "Eingesetzte Werte sind fett, nicht ausgefüllte Platzhalter mit ⚠️ markiert.",
+            "view.translation": "Inoffizielle Übersetzung ({language})",
+            "view.translation_note": "Diese Übersetzung dient nur zur Orientierung und ist rechtlich nicht bindend. Es gilt allein der offizielle englische Text oben.",
+            "view.view_on_site": "Auf ChooseALicense.com ansehen",
+            "item.template_error": "Ungültige Lizenzvorlage: {file}",
+            "search.matches": "Treffer in {facet}: {text} · {subtitle}",
+            "search.permission": "Erlaubnis",
+            "search.condition": "Bedingung",
+            "search.limitation": "Einschränkung",
+            "search.description": "Beschreibung",
+            "search.text": "Text",
+            "search.none": "Keine passenden Lizenzen",
+            "search.none_text": "Nichts passt zu \"{query}\" in Namen, Beschreibungen, Regeln oder Lizenztexten",
+            "search.none_in_categories": "Nichts in {categories} passt zu \"{query}\"",
+            "expression.invalid": "Ungültiger SPDX-Ausdruck",
+            "expression.copy": "↩ Kombinierte Lizenz für {names} kopieren",
+            "expression.paste": "⌘ Kombinierte Lizenz {id} in die aktive App einfügen",
+            "expression.save": "⌃ Eine LICENSE-<ID>-Datei pro Lizenz im Projektordner speichern",
+            "expression.manifests": "⌃⇧ Vorschau: {id} als Lizenz in den Manifesten des Projekts",
+            "expression.manifests_write": "⌃⇧⌘ {id} als Lizenz in den Manifesten des Projekts eintragen",
+            "wizard.copyleft": "Müssen abgeleitete Werke offen bleiben?",
+            "wizard.copyleft.yes": "Ja, Änderungen werden unter denselben Bedingungen geteilt",
+            "wizard.copyleft.yes.reason": "abgeleitete Werke bleiben Open Source",
+            "wizard.copyleft.no": "Nein, abgeleitete Werke dürfen Closed Source sein",
+            "wizard.copyleft.no.reason": "abgeleitete Werke dürfen Closed Source sein",
+            "wizard.scope": "Wie viel eines abgeleiteten Werks muss offen bleiben?",
+            "wizard.scope.whole": "Das ganze abgeleitete Werk",
+            "wizard.scope.whole.reason": "das ganze abgeleitete Werk behält die Lizenz",
+            "wizard.scope.files": "Nur die lizenzierten Dateien oder die Bibliothek",
+            "wizard.scope.files.reason": "nur die lizenzierten Dateien oder die Bibliothek bleiben offen",
+            "wizard.network": "Zählt Nutzung über das Netzwerk als Weitergabe?",
+            "wizard.network.yes": "Ja, auch Nutzer eines gehosteten Dienstes erhalten den Quellcode",
+            "wizard.network.yes.reason": "Netzwerknutzer haben Anspruch auf den Quellcode",
+            "wizard.network.no": "Nein, nur die Weitergabe von Kopien löst die Bedingungen aus",
+            "wizard.network.no.reason": "der Betrieb als Dienst ist keine Weitergabe",
+            "wizard.patent": "Brauchst du eine Patentlizenz?",
+            "wizard.patent.yes": "Ja, Mitwirkende müssen Patentrechte einräumen",
+            "wizard.patent.yes.reason": "Mitwirkende räumen Patentrechte ein",
+            "wizard.patent.no": "Nein, Patente sollen außen vor bleiben",
+            "wizard.patent.no.reason": "keine ausdrückliche Patentlizenz",
+            "wizard.credit": "Müssen Kopien deinen Copyright-Hinweis behalten?",
+            "wizard.credit.yes": "Ja, ich möchte genannt werden",
+            "wizard.credit.yes.reason": "Kopien behalten deinen Copyright-Hinweis",
+            "wizard.credit.no": "Nein, jeder darf es ohne Namensnennung nutzen",
+            "wizard.credit.no.reason": "keine Namensnennung nötig",
+            "wizard.any": "Egal",
+            "wizard.left": "{n} von {total} Lizenzen übrig: {ids}",
+            "wizard.none_left": "Keine Lizenz passt zu dieser Antwort",
+            "wizard.no_fit": "Keine Lizenz passt zu allen deinen Antworten",
+            "wizard.no_fit_text": "Geh zurück und antworte bei einer der Fragen mit \"{any}\"",
+            "wizard.back": "Zurück",
+            "wizard.back_text": "Deine Antwort auf \"{question}\" ändern",
+            "wizard.fits": "Passt: {reasons}",
+            "wizard.unavailable": "Lizenzdetails sind noch nicht verfügbar",
+            "wizard.unavailable_text": "Der Assistent braucht die mitgelieferte Kopie oder Lizenzen im Cache. Prüfe :cache.",
+            "pick.add": "{name} hinzufügen",
+            "pick.unknown": "Unbekannte Lizenz \"{id}\"",
+            "compare.title": "{ids} vergleichen",
+            "compare.view": "⌥ Vergleich im Text Viewer anzeigen",
+            "compare.view_side": "⌥ {ids} nebeneinander im Text Viewer anzeigen",
+            "compare.with": "Mit {ids} vergleichen",
+            "compare.choose": "Wähle mindestens zwei Lizenzen zum Vergleichen",
+            "compare.unknown_text": "Verwende SPDX-Kennungen oder Schlüssel, z. B. :compare MPL-2.0 LGPL-3.0",
+            "compat.compatible": "✅ Kompatibel",
+            "compat.conditional": "⚠️ Unter Bedingungen",
+            "compat.incompatible": "❌ Inkompatibel",
+            "compat.unknown": "❓ Unbekannt",
+            "compat.title": "{verdict}: {inbound}-Code in einem {outbound}-Projekt",
+            "compat.view": "⌥ Kompatibilitätsbericht im Text Viewer anzeigen",
+            "compat.choose_inbound": "Wähle die eingehende Lizenz, die des Codes, den du einbinden willst",
+            "compat.choose_outbound": "Wähle die Projektlizenz, in die {id}-Code eingebunden werden soll",
+            "compat.unknown_text": "Verwende SPDX-Kennungen oder Schlüssel, z. B. :compat Apache-2.0 GPL-2.0",
+            "view.error": "Fehler",
+            "view.no_body": "Kein Lizenztext übergeben.",
+            "view.no_key": "Kein Lizenzschlüssel in den Workflow-Variablen.",
+            "view.license_not_found": "Lizenz \"{key}\" ist weder im Cache noch unter den mitgelieferten Lizenzen.",
+            "view.licenses_not_found": "Lizenzen, die weder im Cache noch unter den mitgelieferten sind: {keys}.",
+            "view.compare_choose": "Wähle mindestens zwei Lizenzen zum Vergleichen.",
+            "view.the_license": "die Lizenz",
+            "view.error_title": "{name} konnte nicht angezeigt werden",
+            "view.error_default": "Die Lizenz konnte nicht verarbeitet werden.",
+            "view.try_again": "Erneut versuchen",
+            "view.retry": "Drücke ⌥↩ erneut auf {name}. Bereits verwendete und mitgelieferte Lizenzen funktionieren offline.",
+            "view.retry_cache": "Gib `:cache` in Alfred ein, um den Cache-Status zu sehen, und wähle **Refresh cache now**, um die Lizenzen neu zu laden.",
+            "view.cache_status": "Cache-Status",
+            "view.cache_fresh": "{name}: {count} Lizenzen, aktuell, geladen am {date}",
+            "view.cache_stale": "{name}: {count} Lizenzen, veraltet, geladen am {date}",
+            "view.cache_missing": "{name}: noch nicht im Cache",
+            "view.snapshot": "Mitgelieferte Kopie: {count} Lizenzen",
+            "view.no_snapshot": "Keine mitgelieferte Kopie",
+            "view.refreshing": "Eine Aktualisierung läuft im Hintergrund",
+            "view.no_description": "Keine Beschreibung verfügbar.",
+            "view.rules": "Regeln",
+            "view.rules_differ": "{n} Regeln unterscheiden sich, mit ⚠️ markiert.",
+            "view.view_on_site_links": "Auf ChooseALicense.com ansehen: {links}",
+            "view.compat_title": "{inbound}-Code in einem {outbound}-Projekt",
+            "view.conditions_of": "Bedingungen von {id}",
+            "view.compat_disclaimer": "Dies ist eine allgemeine Orientierung aus der Kompatibilitätsmatrix des Workflows, keine Rechtsberatung.",
+            "cache.count": "{name}: {count} Lizenzen",
+            "cache.fresh": "Aktuell, {age} von {source} abgerufen",
+            "cache.stale": "Veraltet, {age} von {source} abgerufen",
+            "cache.missing": "Noch nicht im Cache",
+            "cache.newer": "Von einer neueren Version des Workflows geschrieben, bleibt unverändert",
+            "cache.generated": "Erstellt am {date}",
+            "cache.generate": "Erzeuge data/licenses.json mit scripts/build_snapshot.js",
+            "cache.quarantined": "{n} beschädigte Cache-Dateien in Quarantäne",
+            "cache.refreshing": "Wird aktualisiert…",
+            "cache.refresh": "Cache jetzt aktualisieren",
+            "cache.refresh_text": "Alle Lizenzen im Cache in {dir} erneut prüfen",
+            "refresh.running": "Eine Aktualisierung läuft bereits",
+            "refresh.summary": "{updated} aktualisiert, {unchanged} unverändert, {fresh} noch aktuell",
+            "refresh.summary_failed": "{updated} aktualisiert, {unchanged} unverändert, {fresh} noch aktuell, {failed} fehlgeschlagen ({error})",
+            "expression.ends_early": "Der Ausdruck endet zu früh",
+            "expression.missing_paren": "Schließende Klammer fehlt",
+            "expression.unexpected": "Unerwartetes \"{token}\"",
+            "expression.unknown_license": "Unbekannte Lizenz \"{id}\"",
+            "expression.with_single": "WITH muss auf eine einzelne Lizenz folgen",
+            "expression.unknown_exception": "Unbekannte Ausnahme \"{id}\"",
+            "http.network": "Die GitHub-API ist nicht erreichbar",
+            "http.network_text": "{message}. Prüfe deine Verbindung, proxy_url oder api_base_url.",
+            "http.rate_limit": "Anfragelimit der GitHub-API überschritten",
+            "http.rate_limit_text": "Setze die Workflow-Variable GITHUB_TOKEN für ein höheres Limit.",
+            "http.rate_limit_reset_text": "Setze die Workflow-Variable GITHUB_TOKEN für ein höheres Limit. Zurückgesetzt um {time}.",
+            "http.unauthorized": "GitHub hat das Token abgelehnt",
+            "http.unauthorized_text": "Prüfe die Workflow-Variable GITHUB_TOKEN.",
+            "http.not_found": "In der GitHub-API nicht gefunden",
+            "http.not_found_text": "{message}. Prüfe api_base_url.",
+            "http.error": "Fehler der GitHub-API",
+            "http.error_status": "Fehler der GitHub-API (HTTP {status})",
+            "http.failed": "Fehler beim Abrufen der Lizenzen",
+            "http.failed_text": "Bitte versuche es erneut.",
+            "http.curl.5": "Der Proxy konnte nicht aufgelöst werden",
+            "http.curl.6": "Der API-Host konnte nicht aufgelöst werden",
+            "http.curl.7": "Keine Verbindung zur API möglich",
+            "http.curl.28": "Zeitüberschreitung bei der Anfrage",
+            "http.curl.35": "TLS-Handshake fehlgeschlagen",
+            "http.curl.60": "Das API-Zertifikat konnte nicht überprüft werden",
+            "http.curl_failed": "Netzwerkanfrage fehlgeschlagen (curl-Exitcode {code})",
+            "http.status": "Die GitHub-API hat HTTP {status} zurückgegeben",
+            "http.invalid": "Die GitHub-API hat eine ungültige Antwort zurückgegeben",
+            "http.not_a_list": "Die GitHub-API hat keine Lizenzliste zurückgegeben",
+            "http.not_a_license": "Die GitHub-API hat die Lizenz {key} nicht zurückgegeben",
+            "http.unexpected": "Unerwartete Antwort für {path}",
+            "pin.no_key": "Kein Lizenzschlüssel angegeben",
+            "pin.pinned": "{name} oben in der Liste angeheftet",
+            "pin.unpinned": "{name} losgelöst",
+            "copy.failed": "Die Lizenz konnte nicht verarbeitet werden",
+            "copy.nothing": "Nichts zu kopieren",
+            "copy.license": "Lizenz",
+            "copy.copied": "{name} kopiert",
+            "copy.copied_as": "{name} als {format} kopiert",
+            "compat.reason.same": "Beide verwenden dieselbe Lizenz.",
+            "compat.reason.permissive": "Die eingehende Lizenz verlangt nur, ihre Urheberrechts- und Lizenzhinweise zu erhalten, was jede Projektlizenz erlaubt.",
+            "compat.reason.not_in_matrix": "Diese Kombination ist noch nicht in der Kompatibilitätsmatrix. Prüfe beide Lizenztexte oder frage einen Anwalt.",
+            "compat.reason.apache-2.0.gpl-2.0": "Die Patentkündigungs- und Haftungsfreistellungsklauseln der Apache-2.0 sind Einschränkungen, die die GPL-2.0-Familie nicht erlaubt. Ein Projekt unter GPL-2.0-or-later kann den Code aufnehmen, wenn es unter GPL-3.0 verbreitet wird.",
+            "compat.reason.bsd-4-clause": "BSD-4-Clause verlangt nur, ihre Hinweise zu erhalten und die Autoren in Werbematerial zu nennen.",
+            "compat.reason.bsd-4-clause.gnu": "Die Werbeklausel der BSD-4-Clause ist eine zusätzliche Einschränkung, die die GNU-Lizenzen nicht erlauben.",
+            "compat.reason.gpl-2.0": "GPL-2.0 verlangt, dass das gesamte kombinierte Werk unter GPL-2.0 veröffentlicht wird.",
+            "compat.reason.gpl-2.0.version-3": "Nur wenn die Bibliothek GPL-2.0-or-later ist. Code unter GPL-2.0-only kann nicht unter Version 3 neu lizenziert werden.",
+            "compat.reason.gpl-3.0": "GPL-3.0 verlangt, dass das gesamte kombinierte Werk unter GPL-3.0 veröffentlicht wird.",
+            "compat.reason.gpl-3.0.gpl-2.0": "Code unter GPL-3.0 kann nicht unter GPL-2.0 verbreitet werden. Ein Projekt unter GPL-2.0-or-later kann stattdessen zu GPL-3.0 wechseln.",
+            "compat.reason.gpl-3.0.agpl-3.0": "Abschnitt 13 beider Lizenzen erlaubt es, Code unter GPL-3.0 und AGPL-3.0 zu kombinieren, jeder Teil behält seine Lizenz.",
+            "compat.reason.agpl-3.0": "AGPL-3.0 verlangt, dass das kombinierte Werk unter AGPL-3.0 steht, einschließlich des Quellcodeangebots an Netzwerknutzer.",
+            "compat.reason.agpl-3.0.gpl-3.0": "Abschnitt 13 erlaubt die Kombination, aber Nutzern, die über ein Netzwerk mit dem kombinierten Werk interagieren, muss der Quellcode des AGPL-3.0-Teils angeboten werden.",
+            "compat.reason.lgpl-2.1": "Erlaubt, wenn die Bibliothek eine eigenständige, austauschbare Bibliothek bleibt (z. B. dynamisch gelinkt) und Änderungen an der Bibliothek selbst unter LGPL-2.1 veröffentlicht werden.",
+            "compat.reason.lgpl-2.1.gpl": "Abschnitt 3 der LGPL-2.1 erlaubt es, den Code in GPL-2.0 oder eine spätere Version umzuwandeln.",
+            "compat.reason.lgpl-2.1.lgpl-3.0": "Nur wenn die Bibliothek LGPL-2.1-or-later ist. Andernfalls wandle sie in GPL um und halte sie als eigenständige Bibliothek.",
+            "compat.reason.lgpl-3.0": "Erlaubt, wenn die Bibliothek eine eigenständige, austauschbare Bibliothek bleibt (z. B. dynamisch gelinkt) und Änderungen an der Bibliothek selbst unter LGPL-3.0 veröffentlicht werden.",
+            "compat.reason.lgpl-3.0.gpl-3.0": "LGPL-3.0 ist GPL-3.0 mit zusätzlichen Erlaubnissen, daher kann der Code unter GPL-3.0 verwendet werden.",
+            "compat.reason.lgpl-3.0.version-2": "LGPL-3.0 ist GPL-3.0 mit zusätzlichen Erlaubnissen, die ein Projekt nur unter Version 2 nicht annehmen kann.",
+            "compat.reason.mpl-2.0": "MPL-2.0 ist Copyleft auf Dateiebene: Die MPL-Dateien und Änderungen daran bleiben MPL-2.0 mit verfügbarem Quellcode, der Rest des Projekts behält seine eigene Lizenz.",
+            "compat.reason.mpl-2.0.gnu": "Abschnitt 3.3 der MPL-2.0 erlaubt die Verbreitung unter den GNU-Lizenzen in einem größeren Werk, sofern die Dateien nicht als \"Incompatible With Secondary Licenses\" gekennzeichnet sind.",
+            "compat.reason.epl-1.0": "EPL-1.0 ist schwaches Copyleft: Änderungen an Code unter EPL-1.0 bleiben EPL-1.0, eigenständige Module können ihre eigene Lizenz verwenden.",
+            "compat.reason.epl-1.0.gnu": "Die Rechtswahl- und Patentklauseln der EPL-1.0 sind Einschränkungen, die die GNU-Lizenzen nicht erlauben.",
+            "compat.reason.epl-2.0": "EPL-2.0 ist schwaches Copyleft: Änderungen an Code unter EPL-2.0 bleiben EPL-2.0, eigenständige Module können ihre eigene Lizenz verwenden.",
+            "compat.reason.epl-2.0.gnu": "Nur wenn der Code GPL-2.0 oder später als Secondary License nennt, was EPL-2.0 erlaubt, aber nicht verlangt.",
+            "compat.reason.eupl-1.2": "EUPL-1.2 ist Copyleft: Abgeleitete Werke bleiben EUPL-1.2, sofern die ausgehende Lizenz nicht in ihrem Anhang kompatibler Lizenzen steht.",
+            "compat.reason.eupl-1.2.appendix": "Im Anhang der EUPL-1.2 aufgeführt: Ein abgeleitetes Werk, das mit Code unter dieser Lizenz zusammengeführt werden muss, darf unter ihr verbreitet werden.",
+            "compat.reason.cc-by-sa-4.0": "ShareAlike verlangt, dass Bearbeitungen unter CC BY-SA 4.0 oder einer von Creative Commons als kompatibel erklärten Lizenz veröffentlicht werden.",
+            "compat.reason.cc-by-sa-4.0.gpl-3.0": "Creative Commons hat GPL-3.0 als kompatibel mit CC BY-SA 4.0 erklärt, nur in eine Richtung.",
+        },
+    };
+
+    /**
+     * Gets the locale from the locale variable, e.g. "es" from "es_MX"
+     * @returns {string} Supported locale, English by default
+     */
+    function locale() {
+        const configured = Workflow.getVariable("locale").toLowerCase().split(/[-_]/)[0];
+        return STRINGS[configured] ? configured : DEFAULT_LOCALE;
+    }
+
+    /**
+     * Gets a UI string in the current locale
+     * @param {string} key - String key (e.g., "item.paste")
+     * @param {Object} [params] - Values of the {name} parameters
+     * @param {string} [language] - Locale to use instead of the configured one
+     * @returns {string} Localized string, the English one if it isn't translated
+     */
+    function t(key, params = {}, language = locale()) {
+        const text = (STRINGS[language] || {})[key] || STRINGS[DEFAULT_LOCALE][key] || key;
+        return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+
+    /**
+     * Reads the unofficial translation of a license into the current locale
+     * @param {string} key - License key
+     * @returns {{text: string, language: string, path: string}|null} Translation, or null for English or if there is none
+     */
+    function readTranslation(key) {
+        const current = locale();
+        const dir = Workflow.dataFolder("translations_dir", "translations");
+        if (current === DEFAULT_LOCALE || !dir) return null;
+
+        for (const extension of TRANSLATION_EXTENSIONS) {
+            const path = `${dir}/${current}/${key}.${extension}`;
+            const text = (Workflow.readFile(path) || "").trim();
+
+            if (text) {
+                return { text, language: LANGUAGES[current], path };
+            }
+        }
+
+        return null;
+    }
+
+    return { locale, t, readTranslation };
+})();
@@ -0,0 +1,113 @@
+// Identifies license texts by comparing them with known license bodies.
+
+var Identify = (() => {
+    // Similarity needed to call a match certain, or at least likely
+    const HIGH_CONFIDENCE = 0.9;
+    const LOW_CONFIDENCE = 0.7;
+
+    /**
+     * Normalizes a license text so formatting, copyright lines and placeholders don't count
+     * @param {string} text - License text
+     * @returns {string[]} Words
+     */
+    function normalize(text) {
+        return text
+            .toLowerCase()
+            .replace(/^.*copyright (?:\(c\)|©|\d{4}).*$/gm, " ")
+            .replace(/\[[^\]]*\]|<[^>]*>|\{[^}]*\}/g, " ")
+            .replace(/https?:\/\/\S+/g, " ")
+            .replace(/[^a-z0-9]+/g, " ")
+            .split(" ")
+            .filter(Boolean);
+    }
+
+    /**
+     * Builds the set of word pairs of a text
+     * @param {string[]} words - Normalized words
+     * @returns {Set<string>} Word pairs
+     */
+    function shingles(words) {
+        const set = new Set();
+
+        for (let i = 0; i < words.length - 1; i++) {
+            set.add(`${words[i]} ${words[i + 1]}`);
+        }
+
+        return set;
+    }
+
+    /**
+     * Compares two sets of word pairs with the Dice coefficient
+     * @param {Set<string>} a - Word pairs of one text
+     * @param {Set<string>} b - Word pairs of the other text
+     * @returns {number} Similarity between 0 and 1
+     */
+    function similarity(a, b) {
+        if (a.size === 0 || b.size === 0) return 0;
+
+        let shared = 0;
+        for (const pair of a) {
+            if (b.has(pair)) shared++;
+        }
+
+        return (2 * shared) / (a.size + b.size);
+    }
+
+    /**
+     * Finds the known license closest to a text
+     * @param {string} text - License text to identify
+     * @param {Object[]} licenses - Licenses with a body
+     * @returns {{license: Object|null, confidence: number, level: string}} Best match, its similarity and "high", "low" or "none"
+     */
+    function identify(text, licenses) {
+        const target = shingles(normalize(text));
+        let best = { license: null, confidence: 0 };
+
+        for (const license of licenses) {
+            if (!license.body) continue;
+
+            const confidence = similarity(target, shingles(normalize(license.body)));
+            if (confidence > best.confidence) {
+                best = { license, confidence };
+            }
+        }
+
+        const level = best.confidence >= HIGH_CONFIDENCE
+            ? "high"
+            : best.confidence >= LOW_CONFIDENCE ? "low" : "none";
+
+        return { ...best, level };
+    }
+
+    /**
+     * Extracts the license IDs of an SPDX expression
+     * @param {string} expression - SPDX expression (e.g., "(MIT OR Apache-2.0)")
+     * @returns {string[]} License IDs without exceptions
+     */
+    function expressionIds(expression) {
+        const words = expression.replace(/[()]/g, " ").split(/\s+/).filter(Boolean);
+        return words.filter((word, i) => !/^(AND|OR|WITH)$/i.test(word) && !/^WITH$/i.test(words[i - 1] || ""));
+    }
+
+    /**
+     * Reduces an SPDX ID to the license it names, so "GPL-3.0-or-later" and "GPL-3.0" compare equal
+     * @param {string} id - SPDX ID
+     * @returns {string} Lowercase base ID
+     */
+    function baseId(id) {
+        return id.toLowerCase().replace(/(-only|-or-later|\+)$/, "");
+    }
+
+    /**
+     * Finds the license an SPDX ID or license key names, ignoring -only and -or-later
+     * @param {Object[]} licenses - Known licenses
+     * @param {string} id - SPDX ID or key
+     * @returns {Object|null} License or null
+     */
+    function findById(licenses, id) {
+        const base = baseId(id);
+        return licenses.find(license => (license.spdx_id || "").toLowerCase() === base || license.key === base) || null;
+    }
+
+    return { identify, expressionIds, baseId, findById, HIGH_CONFIDENCE, LOW_CONFIDENCE };
+})();
@@ -0,0 +1,87 @@
+// Result contract between process_license.js and the scripts that receive its output:
+// copy_license.js, generate_text_view.js and write_license_file.js.
+//
+// process_license.js passes the body as Alfred's arg and the rest as workflow variables:
+//   result_status    "ok" or "error". On "error" the body is empty and every receiving script
+//                    refuses it: copy_license.js leaves the clipboard alone and returns
+//                    result_error for the notification.
+//   result_error     What went wrong, empty when the status is "ok"
+//   result_hint      What to do about it, e.g. check the connection or set GITHUB_TOKEN
+//   result_warnings  JSON array of things to know about a usable body
+//   result_metadata  JSON object with the key, SPDX ID, name and source of the license
+
+var Result = (() => {
+    /**
+     * Builds the Alfred JSON output of a successful result
+     * @param {string} body - Processed text
+     * @param {Object} [options] - Metadata, warnings and other workflow variables ({metadata, warnings, variables})
+     * @returns {string} JSON string for Alfred
+     */
+    function success(body, { metadata = {}, warnings = [], variables = {} } = {}) {
+        return JSON.stringify({
+            alfredworkflow: {
+                arg: body,
+                variables: {
+                    ...variables,
+                    result_status: "ok",
+                    result_error: "",
+                    result_hint: "",
+                    result_warnings: JSON.stringify(warnings),
+                    result_metadata: JSON.stringify(metadata),
+                },
+            },
+        });
+    }
+
+    /**
+     * Builds the Alfred JSON output of a failed result, with an empty body so nothing gets pasted
+     * @param {string} error - What went wrong
+     * @param {string} [hint] - What to do about it
+     * @param {Object} [metadata] - What was being processed (e.g., {key})
+     * @returns {string} JSON string for Alfred
+     */
+    function failure(error, hint = "", metadata = {}) {
+        return JSON.stringify({
+            alfredworkflow: {
+                arg: "",
+                variables: {
+                    result_status: "error",
+                    result_error: error,
+                    result_hint: hint,
+                    result_warnings: "[]",
+                    result_metadata: JSON.stringify(metadata),
+                },
+            },
+        });
+    }
+
+    /**
+     * Parses a JSON workflow variable
+     * @param {string} name - Variable name
+     * @param {*} fallback - Value when the variable is missing or invalid
+     * @returns {*} Parsed value
+     */
+    function readJson(name, fallback) {
+        try {
+            return JSON.parse(Workflow.getVariable(name) || "") || fallback;
+        } catch (e) {
+            return fallback;
+        }
+    }
+
+    /**
+     * Reads the result passed on by process_license.js
+     * @returns {{status: string|null, error: string, hint: string, warnings: string[], metadata: Object}} Result, status null when there is none
+     */
+    function read() {
+        return {
+            status: Workflow.getVariable("result_status") || null,
+            error: Workflow.getVariable("result_error"),
+            hint: Workflow.getVariable("result_hint"),
+            warnings: readJson("result_warnings", []),
+            metadata: readJson("result_metadata", {}),
+        };
+    }
+
+    return { success, failure, read };
+})();
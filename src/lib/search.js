@@ -0,0 +1,173 @@
+// Ranked search over names, IDs, descriptions, rules and license texts.
+
+var Search = (() => {
+    const SNIPPET_RADIUS = 30;
+
+    // Query matching a name, SPDX ID or key as a whole, so "mit" lists MIT first
+    const EXACT_WEIGHT = 100;
+
+    // Searched fields, most relevant first. A query word scores the weight of the best field it is found in.
+    // Names match at the start of a word, or anywhere for less; the other fields only match whole words,
+    // so "mit" doesn't find "permit". Rules match word starts as they are typed, e.g. "pat" for patent-use.
+    const FIELDS = [
+        { facet: null, weight: 10, match: "prefix", values: license => [license.name, license.spdx_id, license.key] },
+        { facet: null, weight: 4, match: "substring", values: license => [license.name, license.spdx_id, license.key] },
+        { facet: "permission", weight: 6, match: "prefix", values: license => license.permissions || [] },
+        { facet: "condition", weight: 6, match: "prefix", values: license => license.conditions || [] },
+        { facet: "limitation", weight: 6, match: "prefix", values: license => license.limitations || [] },
+        { facet: "description", weight: 3, match: "word", values: license => [license.description || ""] },
+        { facet: "text", weight: 1, match: "word", values: license => [license.body || ""] },
+    ];
+
+    /**
+     * Lowercases text and treats hyphens like spaces, so "patent use" finds patent-use
+     * @param {string} text - Text to normalize
+     * @returns {string} Normalized text
+     */
+    function normalize(text) {
+        return (text || "").toLowerCase().replace(/[\s_-]+/g, " ").trim();
+    }
+
+    /**
+     * Escapes special characters for use in a regular expression
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    }
+
+    /**
+     * Builds the pattern of a query word or phrase for a kind of match
+     * @param {string} word - Normalized word or phrase
+     * @param {string} match - "substring", "prefix" (at the start of a word) or "word" (whole words)
+     * @returns {string} Regular expression source
+     */
+    function wordPattern(word, match) {
+        const source = word.split(" ").map(escapeRegExp).join("[\\s_-]+");
+        if (match === "substring") return source;
+
+        const start = /^\w/.test(word) ? "\\b" : "";
+        const end = match === "word" && /\w$/.test(word) ? "\\b" : "";
+        return `${start}${source}${end}`;
+    }
+
+    /**
+     * Checks if a text contains a query word or phrase
+     * @param {string} text - Normalized text
+     * @param {string} word - Normalized word or phrase
+     * @param {string} match - Kind of match, see wordPattern()
+     * @returns {boolean} True if found
+     */
+    function contains(text, word, match) {
+        return match === "substring" ? text.includes(word) : new RegExp(wordPattern(word, match)).test(text);
+    }
+
+    /**
+     * Cuts the text around the first whole-word match of a phrase
+     * @param {string} text - Description or license body
+     * @param {string} phrase - Normalized words to find, in order
+     * @returns {string} Snippet with ellipses where the text was cut
+     */
+    function snippet(text, phrase) {
+        const match = new RegExp(wordPattern(phrase, "word"), "i").exec(text);
+        if (!match) return "";
+
+        const start = Math.max(match.index - SNIPPET_RADIUS, 0);
+        const end = Math.min(match.index + match[0].length + SNIPPET_RADIUS, text.length);
+
+        // Don't show words cut in half at either end
+        const cut = text
+            .slice(start, end)
+            .replace(start > 0 ? /^\S*\s/ : /^/, "")
+            .replace(end < text.length ? /\s\S*$/ : /$/, "")
+            .replace(/\s+/g, " ")
+            .trim();
+
+        return `${start > 0 ? "…" : ""}${cut}${end < text.length ? "…" : ""}`;
+    }
+
+    /**
+     * Describes where a license matched, for fields other than its name
+     * @param {Object} field - Entry of FIELDS
+     * @param {string[]} values - Values of the field
+     * @param {string[]} words - Query words the field matched
+     * @param {string} phrase - Whole normalized query
+     * @returns {{facet: string, text: string}} Facet and the matching rules or a snippet
+     */
+    function describeMatch(field, values, words, phrase) {
+        if (field.facet === "description" || field.facet === "text") {
+            const value = values[0];
+            const text = contains(normalize(value), phrase, field.match) ? snippet(value, phrase) : snippet(value, words[0]);
+            return { facet: field.facet, text };
+        }
+
+        const rules = values.filter(value => words.some(word => contains(normalize(value), word, field.match)));
+        return { facet: field.facet, text: rules.map(normalize).join(", ") };
+    }
+
+    /**
+     * Scores one license against the query words
+     * @param {Object} license - License object
+     * @param {string[]} words - Normalized query words
+     * @param {string} phrase - Whole normalized query
+     * @returns {{score: number, match: Object|null}|null} Score and the best non-name match, or null if a word isn't found
+     */
+    function scoreLicense(license, words, phrase) {
+        const fields = FIELDS.map(field => {
+            const values = field.values(license).filter(Boolean);
+            const text = normalize(values.join(" | "));
+            return { field, values, text, words: words.filter(word => contains(text, word, field.match)) };
+        });
+
+        let score = 0;
+
+        for (const word of words) {
+            const best = fields.find(entry => entry.words.includes(word));
+            if (!best) return null;
+
+            score += best.field.weight;
+        }
+
+        // Finding the words together counts more than finding them apart
+        const together = words.length > 1 && fields.find(entry => contains(entry.text, phrase, entry.field.match));
+        if (together) {
+            score += together.field.weight * words.length;
+        }
+
+        // The exact name or ID ranks above anything that only contains it
+        const names = FIELDS[0].values(license).filter(Boolean).map(normalize);
+        if (names.includes(phrase)) {
+            score += EXACT_WEIGHT;
+        }
+
+        // The name says it all, otherwise show the most relevant other field
+        const named = words.every(word => fields.some(entry => entry.field.facet === null && entry.words.includes(word)));
+        const other = named ? null : fields.find(entry => entry.field.facet !== null && entry.words.length > 0);
+
+        return { score, match: other ? describeMatch(other.field, other.values, other.words, phrase) : null };
+    }
+
+    /**
+     * Searches licenses and ranks them by relevance
+     * @param {Object[]} licenses - License objects, in the order used to break ties
+     * @param {string} query - Search query
+     * @returns {Object[]} Results ({license, score, match}) with every query word found, best first
+     */
+    function search(licenses, query) {
+        const phrase = normalize(query);
+        const words = phrase.split(" ").filter(Boolean);
+
+        if (words.length === 0) {
+            return licenses.map(license => ({ license, score: 0, match: null }));
+        }
+
+        return licenses
+            .map((license, index) => ({ license, index, ...scoreLicense(license, words, phrase) }))
+            .filter(result => result.score !== undefined)
+            .sort((a, b) => b.score - a.score || a.index - b.index)
+            .map(({ license, score, match }) => ({ license, score, match }));
+    }
+
+    return { search };
+})();
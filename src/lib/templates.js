@@ -0,0 +1,221 @@
+// Custom and organization-private license templates, read from the user's templates folder.
+//
+// A template is a .md or .txt file with YAML front matter followed by the license text:
+//   ---
+//   title: Acme Internal License      (or name)
+//   spdx-id: LicenseRef-Acme-Internal  (or spdx_id, defaults to LicenseRef-<file name>)
+//   description: ...
+//   permissions:
+//     - commercial-use
+//   ---
+//   Copyright (c) [year] [fullname] ...
+// The file name without extension is the license key, so a template named mit.md replaces MIT.
+//
+// scripts/build_snapshot.js reads the choosealicense.com license files with the same front matter parser.
+
+var Templates = (() => {
+    const FILE_MANAGER = $.NSFileManager.defaultManager;
+    const TEMPLATE_EXTENSIONS = ["md", "markdown", "txt"];
+
+    // Rule tags of choosealicense.com, the only ones the list and the Text Viewer know how to show
+    const RULES = {
+        permissions: ["commercial-use", "modifications", "distribution", "private-use", "patent-use"],
+        conditions: [
+            "include-copyright", "include-copyright--source", "document-changes", "disclose-source",
+            "network-use-disclose", "same-license", "same-license--file", "same-license--library",
+        ],
+        limitations: ["trademark-use", "liability", "patent-use", "warranty"],
+    };
+
+    /**
+     * Gets the templates folder from the templates_dir variable, defaulting to Alfred's workflow data folder
+     * @returns {string|null} Folder path or null if neither is set
+     */
+    function directory() {
+        return Workflow.dataFolder("templates_dir", "templates");
+    }
+
+    /**
+     * Parses a YAML scalar
+     * @param {string} value - Raw value
+     * @returns {string|boolean} Parsed value
+     */
+    function parseScalar(value) {
+        const trimmed = value.trim();
+
+        if (trimmed === "true") return true;
+        if (trimmed === "false") return false;
+
+        return trimmed.replace(/^(["'])(.*)\1$/, "$2");
+    }
+
+    /**
+     * Parses front matter: scalars, block lists, inline [a, b] lists and lists of one-key maps (choosealicense's `using`)
+     * @param {string} yaml - Front matter without the --- delimiters
+     * @returns {{fields: Object, errors: string[]}} Parsed fields and the lines that could not be read
+     */
+    function parseFrontMatter(yaml) {
+        const fields = {};
+        const errors = [];
+        let current = null;
+
+        yaml.split("\n").forEach((line, index) => {
+            if (!line.trim() || line.trim().startsWith("#")) return;
+
+            // Front matter starts on line 2 of the file
+            const lineNumber = index + 2;
+
+            const item = line.match(/^\s*-\s+(.*)$/);
+            if (item) {
+                const pair = item[1].match(/^([^:]+):\s+(.+)$/);
+
+                if (current) {
+                    fields[current].push(pair ? { [pair[1].trim()]: parseScalar(pair[2]) } : parseScalar(item[1]));
+                } else {
+                    errors.push(`Line ${lineNumber}: list item without a field above it.`);
+                }
+                return;
+            }
+
+            const field = line.match(/^([\w-]+):\s*(.*)$/);
+            if (!field) {
+                errors.push(`Line ${lineNumber}: expected "field: value", found "${line.trim()}".`);
+                current = null;
+                return;
+            }
+
+            const inline = field[2].match(/^\[(.*)\]$/);
+            if (field[2] === "") {
+                current = field[1];
+                fields[current] = [];
+            } else if (inline) {
+                current = null;
+                fields[field[1]] = inline[1].split(",").map(parseScalar).filter(Boolean);
+            } else {
+                current = null;
+                fields[field[1]] = parseScalar(field[2]);
+            }
+        });
+
+        return { fields, errors };
+    }
+
+    /**
+     * Converts a template file into the GitHub license object shape
+     * @param {string} fileName - Template file name
+     * @param {string} text - Template file contents
+     * @param {string} path - Template file path
+     * @returns {{license: Object|null, errors: string[]}} License, or null with the reasons it is malformed
+     */
+    function parseTemplate(fileName, text, path) {
+        const key = fileName.replace(/\.[^.]+$/, "").toLowerCase();
+        const match = text.replace(/\r\n/g, "\n").match(/^---\n([\s\S]*?)\n---\n*([\s\S]*)$/);
+
+        if (!match) {
+            return { license: null, errors: ["Missing front matter. Start the file with a --- line, the fields, and another --- line."] };
+        }
+
+        const { fields, errors } = parseFrontMatter(match[1]);
+        const name = fields.title || fields.name;
+        const spdxId = fields["spdx-id"] || fields.spdx_id || `LicenseRef-${key.replace(/[^A-Za-z0-9.-]/g, "-")}`;
+        const body = match[2].trimEnd();
+
+        if (typeof name !== "string" || !name) {
+            errors.push("Missing title.");
+        }
+
+        if (typeof spdxId !== "string" || !/^[A-Za-z0-9.+-]+$/.test(spdxId)) {
+            errors.push(`"${spdxId}" is not a valid SPDX identifier. Use LicenseRef-<name> for a license without one.`);
+        }
+
+        if (!body) {
+            errors.push("Missing license text after the front matter.");
+        }
+
+        for (const [type, known] of Object.entries(RULES)) {
+            const rules = fields[type] === undefined ? [] : fields[type];
+
+            if (!Array.isArray(rules)) {
+                errors.push(`${type} must be a list.`);
+                continue;
+            }
+
+            const unknown = rules.filter(rule => !known.includes(rule));
+            if (unknown.length > 0) {
+                errors.push(`Unknown ${type}: ${unknown.join(", ")}. Use ${known.join(", ")}.`);
+            }
+        }
+
+        if (errors.length > 0) {
+            return { license: null, errors };
+        }
+
+        return {
+            license: {
+                key,
+                name,
+                spdx_id: spdxId,
+                url: null,
+                html_url: null,
+                description: fields.description || "",
+                implementation: fields.implementation || fields.how || "",
+                permissions: fields.permissions || [],
+                conditions: fields.conditions || [],
+                limitations: fields.limitations || [],
+                body,
+                featured: false,
+                hidden: false,
+                custom: true,
+                path,
+            },
+            errors: [],
+        };
+    }
+
+    /**
+     * Reads every template in the templates folder
+     * @returns {{licenses: Object[], errors: Object[]}} Valid templates by key, and the malformed ones ({file, path, errors})
+     */
+    function load() {
+        const dir = directory();
+        const names = dir ? ObjC.deepUnwrap(FILE_MANAGER.contentsOfDirectoryAtPathError(dir, $())) || [] : [];
+        const licenses = [];
+        const errors = [];
+
+        for (const name of names.sort()) {
+            const extension = name.includes(".") ? name.split(".").pop().toLowerCase() : "";
+            if (name.startsWith(".") || !TEMPLATE_EXTENSIONS.includes(extension)) continue;
+
+            const path = `${dir}/${name}`;
+            const text = Workflow.readFile(path);
+
+            if (text === null) {
+                errors.push({ file: name, path, errors: ["Not a readable UTF-8 text file."] });
+                continue;
+            }
+
+            const result = parseTemplate(name, text, path);
+
+            if (result.license && licenses.some(license => license.key === result.license.key)) {
+                errors.push({ file: name, path, errors: [`Another template already uses the key "${result.license.key}".`] });
+            } else if (result.license) {
+                licenses.push(result.license);
+            } else {
+                errors.push({ file: name, path, errors: result.errors });
+            }
+        }
+
+        return { licenses, errors };
+    }
+
+    /**
+     * Finds a valid template by license key
+     * @param {string} key - License key
+     * @returns {Object|null} License or null
+     */
+    function find(key) {
+        return load().licenses.find(license => license.key === key) || null;
+    }
+
+    return { directory, load, find, parseTemplate, parseFrontMatter };
+})();
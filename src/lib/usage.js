@@ -0,0 +1,101 @@
+// Local usage history and pinned licenses, used to rank the license list.
+//
+// The history lives in Alfred's workflow data folder, so clearing the cache keeps it:
+//   { pins: [key, ...], licenses: { key: { count, lastUsed } } }
+
+var Usage = (() => {
+    const DATA_DIR = Workflow.getVariable("alfred_workflow_data") || "/tmp/alfred-choosealicense-data";
+    const USAGE_FILE = `${DATA_DIR}/usage.json`;
+    const RECENCY_HALF_LIFE_DAYS = 30;
+
+    /**
+     * Reads the usage history
+     * @returns {{pins: string[], licenses: Object}} History, empty if missing or unreadable
+     */
+    function read() {
+        try {
+            const text = Workflow.readFile(USAGE_FILE);
+            const usage = text ? JSON.parse(text) : {};
+
+            return {
+                pins: Array.isArray(usage.pins) ? usage.pins : [],
+                licenses: usage.licenses && typeof usage.licenses === "object" ? usage.licenses : {},
+            };
+        } catch (e) {
+            return { pins: [], licenses: {} };
+        }
+    }
+
+    /**
+     * Writes the usage history
+     * @param {Object} usage - History to store
+     * @returns {boolean} True if the file was written
+     */
+    function write(usage) {
+        Workflow.ensureDirectory(DATA_DIR);
+        return Workflow.writeFile(USAGE_FILE, JSON.stringify(usage, null, 2));
+    }
+
+    /**
+     * Records that licenses were used
+     * @param {string[]} keys - License keys
+     */
+    function recordUse(keys) {
+        const usage = read();
+        const now = new Date().toISOString();
+
+        for (const key of keys) {
+            const entry = usage.licenses[key] || { count: 0 };
+            usage.licenses[key] = { count: entry.count + 1, lastUsed: now };
+        }
+
+        write(usage);
+    }
+
+    /**
+     * Pins a license, or unpins it if it is pinned
+     * @param {string} key - License key
+     * @returns {boolean} True if the license is now pinned
+     */
+    function togglePin(key) {
+        const usage = read();
+        const pinned = !usage.pins.includes(key);
+
+        usage.pins = pinned ? [...usage.pins, key] : usage.pins.filter(pin => pin !== key);
+        write(usage);
+
+        return pinned;
+    }
+
+    /**
+     * Scores how often and how recently a license was used
+     * @param {Object|undefined} entry - Usage entry of the license
+     * @returns {number} Use count halved every RECENCY_HALF_LIFE_DAYS since the last use, 0 if never used
+     */
+    function score(entry) {
+        if (!entry || !entry.count) return 0;
+
+        const days = (Date.now() - new Date(entry.lastUsed).getTime()) / 86400000;
+        return entry.count * Math.pow(0.5, Math.max(days, 0) / RECENCY_HALF_LIFE_DAYS);
+    }
+
+    /**
+     * Orders licenses by pins, then by frequency and recency of use
+     * @param {Object[]} licenses - License objects
+     * @param {Object} usage - Result of read()
+     * @returns {Object[]} Pinned licenses in pin order, then used ones by score, then the rest in their original order
+     */
+    function rank(licenses, usage) {
+        const position = (license) => {
+            const pin = usage.pins.indexOf(license.key);
+            return pin === -1 ? usage.pins.length : pin;
+        };
+
+        return licenses
+            .map((license, index) => ({ license, index, pin: position(license), score: score(usage.licenses[license.key]) }))
+            .sort((a, b) => a.pin - b.pin || b.score - a.score || a.index - b.index)
+            .map(entry => entry.license);
+    }
+
+    return { read, recordUse, togglePin, rank };
+})();
@@ -0,0 +1,109 @@
+// Bootstrap shared by the workflow scripts: loadLib() for the other modules in src/lib,
+// and the workflow variable and file helpers they all need. Each script evaluates it first:
+//   (0, eval)($.NSString.stringWithContentsOfFileEncodingError(`${$.NSFileManager.defaultManager.currentDirectoryPath.js}/src/lib/workflow.js`, $.NSUTF8StringEncoding, $()).js);
+// which exposes the `Workflow` namespace.
+//
+// Every other module in src/lib is then loaded with loadLib(name) and exposes one namespace,
+// e.g. loadLib("cache") defines `Cache`.
+
+var Workflow = (() => {
+    const ENV = $.NSProcessInfo.processInfo.environment;
+    const FILE_MANAGER = $.NSFileManager.defaultManager;
+    const LIB_DIR = `${FILE_MANAGER.currentDirectoryPath.js}/src/lib`;
+
+    /**
+     * Loads a shared module from src/lib into the global scope
+     * @param {string} name - Module file name without extension
+     */
+    function loadLib(name) {
+        const source = $.NSString.stringWithContentsOfFileEncodingError(`${LIB_DIR}/${name}.js`, $.NSUTF8StringEncoding, $()).js;
+
+        // Indirect eval runs in the global scope, so the module's namespace becomes a global
+        (0, eval)(source);
+    }
+
+    /**
+     * Reads a workflow variable
+     * @param {string} name - Variable name
+     * @returns {string} Variable value or empty string
+     */
+    function getVariable(name) {
+        return (ObjC.unwrap(ENV.objectForKey(name)) || "").trim();
+    }
+
+    /**
+     * Gets a folder from a workflow variable, defaulting to a subfolder of Alfred's workflow data folder
+     * @param {string} variable - Variable name (e.g., "templates_dir")
+     * @param {string} subfolder - Subfolder of the workflow data folder
+     * @returns {string|null} Folder path without trailing slash, or null if neither is set
+     */
+    function dataFolder(variable, subfolder) {
+        const configured = getVariable(variable);
+        if (configured) return configured.replace(/^~/, ObjC.unwrap($.NSHomeDirectory())).replace(/\/+$/, "");
+
+        const data = getVariable("alfred_workflow_data");
+        return data ? `${data}/${subfolder}` : null;
+    }
+
+    /**
+     * Checks if a path exists and is a directory
+     * @param {string} path - Path to check
+     * @returns {boolean} True if path is a directory
+     */
+    function isDirectory(path) {
+        const isDir = Ref();
+        return FILE_MANAGER.fileExistsAtPathIsDirectory(path, isDir) && isDir[0];
+    }
+
+    /**
+     * Creates a directory and its parents if they don't exist
+     * @param {string} path - Directory path
+     */
+    function ensureDirectory(path) {
+        FILE_MANAGER.createDirectoryAtPathWithIntermediateDirectoriesAttributesError(
+            $(path),
+            true,
+            $(),
+            $()
+        );
+    }
+
+    /**
+     * Reads a UTF-8 text file
+     * @param {string} path - File path
+     * @returns {string|null} File contents, or null if missing or not UTF-8
+     */
+    function readFile(path) {
+        try {
+            const data = $.NSData.dataWithContentsOfFile(path);
+            if (!data) return null;
+
+            const text = $.NSString.alloc.initWithDataEncoding(data, $.NSUTF8StringEncoding);
+            return text && !text.isNil() ? text.js : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Writes a text file atomically
+     * @param {string} path - File path
+     * @param {string} text - Contents to write
+     * @returns {boolean} True if the file was written
+     */
+    function writeFile(path, text) {
+        try {
+            const nsString = $.NSString.stringWithString(text);
+            return nsString.writeToFileAtomicallyEncodingError(
+                path,
+                true,
+                $.NSUTF8StringEncoding,
+                $()
+            );
+        } catch (e) {
+            return false;
+        }
+    }
+
+    return { loadLib, getVariable, dataFolder, isDirectory, ensureDirectory, readFile, writeFile };
+})();
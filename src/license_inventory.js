@@ -0,0 +1,276 @@
+ObjC.import("Foundation");
+ObjC.import("stdlib");
+
+const CACHE_NAMES = ["list-licenses", "used-licenses"];
+const CSV_COLUMNS = ["package", "version", "license", "category", "flag"];
+
+// Shared helpers and loadLib(), see src/lib/workflow.js
+(0, eval)($.NSString.stringWithContentsOfFileEncodingError(`${$.NSFileManager.defaultManager.currentDirectoryPath.js}/src/lib/workflow.js`, $.NSUTF8StringEncoding, $()).js);
+const { loadLib, getVariable, isDirectory, readFile } = Workflow;
+
+loadLib("cache");
+loadLib("categories");
+loadLib("compatibility");
+loadLib("dependencies");
+loadLib("identify");
+loadLib("i18n");
+
+/**
+ * Gets every license known offline, with the most detailed data for each
+ * @returns {Object[]} Bundled licenses with the cached ones merged in
+ */
+function getKnownLicenses() {
+    const snapshot = Cache.readSnapshot();
+    const byKey = new Map((snapshot ? snapshot.licenses : []).map(license => [license.key, license]));
+
+    for (const name of CACHE_NAMES) {
+        const cached = Cache.read(name);
+
+        for (const license of cached ? cached.data : []) {
+            byKey.set(license.key, { ...byKey.get(license.key), ...license });
+        }
+    }
+
+    return [...byKey.values()];
+}
+
+/**
+ * Checks one license ID of a dependency against each license of the project
+ * @param {string} id - SPDX ID
+ * @param {Object[]} known - Known licenses
+ * @param {Object|null} project - Result of getProjectLicense()
+ * @returns {{category: string, flag: string|null}} Category label and why it needs review
+ */
+function assessId(id, known, project) {
+    const license = Identify.findById(known, id);
+    if (!license) {
+        return { category: "Unknown", flag: `Unrecognized license ${id}` };
+    }
+
+    const category = Categories.get(license);
+    const label = category ? category.label : "Unknown";
+
+    if (!project || project.licenses.length === 0) {
+        return { category: label, flag: Categories.isCopyleft(category) ? "Copyleft" : null };
+    }
+
+    // Whichever of its licenses the project is used under, the dependency has to fit it
+    const unknown = [];
+    for (const outbound of project.licenses) {
+        const verdict = Compatibility.check(license.key, outbound.key);
+
+        if (verdict.status === "incompatible" || verdict.status === "conditional") {
+            return { category: label, flag: `${verdict.status === "incompatible" ? "Incompatible" : "Conditional"} with ${outbound.spdx_id}: ${verdict.reason}` };
+        }
+
+        if (verdict.status === "unknown") {
+            unknown.push(outbound.spdx_id);
+        }
+    }
+
+    if (unknown.length > 0 && Categories.isCopyleft(category)) {
+        return { category: label, flag: `Copyleft, compatibility with ${unknown.join(" and ")} unknown` };
+    }
+
+    return { category: label, flag: null };
+}
+
+/**
+ * Checks the license a dependency declares
+ * @param {string|null} expression - Declared SPDX expression
+ * @param {Object[]} known - Known licenses
+ * @param {Object|null} project - Result of getProjectLicense()
+ * @returns {{category: string, flag: string|null}} Category label and why it needs review
+ */
+function assessLicense(expression, known, project) {
+    if (!expression) {
+        return { category: "Unknown", flag: "No license declared" };
+    }
+
+    if (expression === "UNLICENSED") {
+        return { category: "Unknown", flag: "Proprietary (UNLICENSED)" };
+    }
+
+    if (/^SEE LICEN[CS]E IN /i.test(expression)) {
+        return { category: "Unknown", flag: `Custom license: ${expression}` };
+    }
+
+    const results = Identify.expressionIds(expression).map(id => assessId(id, known, project));
+
+    // With OR any one license will do, otherwise every one applies
+    if (/\bOR\b/i.test(expression)) {
+        return results.find(result => !result.flag) || results[0];
+    }
+
+    return results.find(result => result.flag) || results[0];
+}
+
+/**
+ * Checks the license of a dependency
+ * @param {Object} pkg - Dependency from Dependencies.collect()
+ * @param {Object[]} known - Known licenses
+ * @param {Object|null} project - Result of getProjectLicense()
+ * @returns {{category: string, flag: string|null}} Category label and why it needs review
+ */
+function assessPackage(pkg, known, project) {
+    // yarn.lock and pnpm-lock.yaml don't record licenses, only node_modules can tell
+    if (!pkg.license && !pkg.path && !pkg.sources.includes("package-lock.json")) {
+        return { category: "Unknown", flag: "Not installed, run the package manager to read its license" };
+    }
+
+    return assessLicense(pkg.license, known, project);
+}
+
+/**
+ * Finds the license of the project the dependencies are checked against
+ * @param {string} dir - Project folder
+ * @param {Object[]} known - Known licenses
+ * @returns {{expression: string, licenses: Object[], unrecognized: string[]}|null} Project expression, the licenses it names and the IDs not known, or null if not configured
+ */
+function getProjectLicense(dir, known) {
+    let expression = getVariable("project_license");
+
+    if (!expression) {
+        try {
+            const pkg = JSON.parse(readFile(`${dir}/package.json`) || "null");
+            expression = (pkg && Dependencies.declaredLicense(pkg)) || "";
+        } catch (e) {
+            expression = "";
+        }
+    }
+
+    if (!expression) return null;
+
+    const ids = Identify.expressionIds(expression);
+    const licenses = ids.map(id => Identify.findById(known, id)).filter(Boolean);
+
+    return {
+        expression,
+        licenses: licenses.filter((license, i) => licenses.indexOf(license) === i),
+        unrecognized: ids.filter(id => !Identify.findById(known, id)),
+    };
+}
+
+/**
+ * Escapes a value for a CSV cell
+ * @param {string} value - Cell value
+ * @returns {string} Quoted value when needed
+ */
+function csvCell(value) {
+    const text = value || "";
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Generates the inventory as CSV
+ * @param {Object[]} rows - Assessed dependencies
+ * @returns {string} CSV text with a header row
+ */
+function generateCsv(rows) {
+    const lines = rows.map(row => [row.name, row.version, row.license, row.category, row.flag].map(csvCell).join(","));
+    return [CSV_COLUMNS.join(","), ...lines].join("\n") + "\n";
+}
+
+/**
+ * Escapes a value for a Markdown table cell
+ * @param {string} value - Cell value
+ * @returns {string} Value with pipes escaped
+ */
+function tableCell(value) {
+    return (value || "—").replace(/\|/g, "\\|");
+}
+
+/**
+ * Generates the inventory as Markdown
+ * @param {string} dir - Project folder
+ * @param {Object[]} rows - Assessed dependencies
+ * @param {Object} sources - Package count of each source
+ * @param {Object|null} project - Result of getProjectLicense()
+ * @returns {string} Markdown formatted string
+ */
+function generateMarkdown(dir, rows, sources, project) {
+    const sections = [];
+
+    // Title
+    sections.push(`# Dependency licenses of ${dir.split("/").pop()}\n`);
+    if (!project) {
+        sections.push("No project license configured, so copyleft licenses are flagged. Set `project_license` or a `license` in package.json.\n");
+    } else if (project.licenses.length === 0) {
+        sections.push(`The project license **${project.expression}** is not recognized, so copyleft licenses are flagged.\n`);
+    } else {
+        const checked = project.licenses.length > 1 ? `each license of **${project.expression}**` : `the project license **${project.expression}**`;
+        const skipped = project.unrecognized.length > 0 ? ` Skipped as not recognized: ${project.unrecognized.join(", ")}.` : "";
+        sections.push(`Checked against ${checked}.${skipped}\n`);
+    }
+
+    // Flagged dependencies
+    const flagged = rows.filter(row => row.flag);
+    if (flagged.length > 0) {
+        const lines = flagged.map(row => `| ${tableCell(row.name)} | ${tableCell(row.version)} | ${tableCell(row.license)} | ${tableCell(row.flag)} |`);
+        sections.push(`⚠️ **Needs Review** (${flagged.length})\n\n| Package | Version | License | Why |\n|---|---|---|---|\n${lines.join("\n")}\n`);
+    } else {
+        sections.push("✅ No dependency needs review.\n");
+    }
+
+    // Summary by category
+    const categories = new Map();
+    for (const row of rows) {
+        const entry = categories.get(row.category) || { count: 0, licenses: {} };
+        const license = row.license || "None";
+
+        entry.count++;
+        entry.licenses[license] = (entry.licenses[license] || 0) + 1;
+        categories.set(row.category, entry);
+    }
+
+    const summary = [...categories.entries()]
+        .sort((a, b) => b[1].count - a[1].count)
+        .map(([category, entry]) => {
+            const licenses = Object.entries(entry.licenses)
+                .sort((a, b) => b[1] - a[1])
+                .map(([license, count]) => `${license} (${count})`)
+                .join(", ");
+
+            return `| ${tableCell(category)} | ${entry.count} | ${tableCell(licenses)} |`;
+        });
+
+    sections.push(`**By Category**\n\n| Category | Packages | Licenses |\n|---|---:|---|\n${summary.join("\n")}\n`);
+
+    // Every dependency
+    const lines = rows.map(row => `| ${tableCell(row.name)} | ${tableCell(row.version)} | ${tableCell(row.license)} | ${tableCell(row.category)} |`);
+    sections.push(`**All Dependencies** (${rows.length})\n\n| Package | Version | License | Category |\n|---|---|---|---|\n${lines.join("\n")}\n`);
+
+    // Footer
+    const read = Object.entries(sources).map(([source, count]) => `${source} (${count})`).join(", ");
+    sections.push(`---\n\nRead from ${read}.`);
+
+    return sections.join("\n");
+}
+
+/**
+ * Main entry point for Alfred Run Script
+ * @param {string[]} argv - Command line arguments (project folder from a File Action)
+ * @returns {string} Markdown report for the Text Viewer, or CSV when inventory_format is "csv"
+ */
+function run(argv) {
+    // Folder from a File Action, falling back to the configured default
+    const dir = ((argv[0] || "").trim() || getVariable("license_dir") || getVariable("default_license_dir")).replace(/\/+$/, "");
+
+    if (!dir || !isDirectory(dir)) {
+        return `# Error\n\nFolder "${dir}" does not exist or is not a directory.`;
+    }
+
+    const { packages, sources } = Dependencies.collect(dir);
+
+    if (Object.keys(sources).length === 0) {
+        return `# Error\n\nNo package-lock.json, yarn.lock, pnpm-lock.yaml or node_modules found in "${dir}".`;
+    }
+
+    const known = getKnownLicenses();
+    const project = getProjectLicense(dir, known);
+    const rows = packages.map(pkg => ({ ...pkg, ...assessPackage(pkg, known, project) }));
+
+    return getVariable("inventory_format") === "csv"
+        ? generateCsv(rows)
+        : generateMarkdown(dir, rows, sources, project);
+}
@@ -1,241 +1,1016 @@
 ObjC.import("Foundation");
 ObjC.import("stdlib");
 
-const GITHUB_API_URL = "https://api.github.com/licenses";
-const CURL_TIMEOUT = 5;
-const CACHE_EXPIRY = 31536000; // 1 year in seconds
-
-// Cache configuration - initialized once globally
-const ENV = $.NSProcessInfo.processInfo.environment;
-const WORKFLOW_CACHE = ObjC.unwrap(ENV.objectForKey("alfred_workflow_cache"));
-const CACHE_DIR = WORKFLOW_CACHE || "/tmp/alfred-choosealicense-cache";
-const FILE_MANAGER = $.NSFileManager.defaultManager;
-const CACHE_FILE = `${CACHE_DIR}/list-licenses.json`;
-
-/**
- * Categorizes a license based on keywords
- * @param {string} key - License SPDX ID
- * @param {string} name - License full name
- * @returns {string} Category description
- */
-function categorizeLicense(key, name) {
-	const nameLower = name.toLowerCase();
-	const keyLower = key.toLowerCase();
-
-	// Strongest copyleft
-	if (keyLower.includes("agpl") || nameLower.includes("affero")) {
-		return "Strongest Copyleft License";
-	}
+const CACHE_NAME = "list-licenses";
+const USED_CACHE_NAME = "used-licenses";
+const CACHE_STATUS_NAMES = ["list-licenses", "used-licenses"];
 
-	// Strong copyleft
-	if (keyLower.includes("gpl") && !keyLower.includes("lgpl")) {
-		return "Strong Copyleft License";
-	}
+// Shared helpers and loadLib(), see src/lib/workflow.js
+(0, eval)($.NSString.stringWithContentsOfFileEncodingError(`${$.NSFileManager.defaultManager.currentDirectoryPath.js}/src/lib/workflow.js`, $.NSUTF8StringEncoding, $()).js);
+const { loadLib } = Workflow;
 
-	// Weak copyleft
-	if (
-		keyLower.includes("lgpl") ||
-		keyLower.includes("mpl") ||
-		keyLower.includes("epl") ||
-		nameLower.includes("lesser") ||
-		nameLower.includes("mozilla")
-	) {
-		return "Weak Copyleft License";
-	}
+loadLib("http");
+loadLib("cache");
+loadLib("categories");
+loadLib("compatibility");
+loadLib("templates");
+loadLib("usage");
+loadLib("search");
+loadLib("i18n");
 
-	// Public domain / No conditions
-	if (
-		keyLower.includes("cc0") ||
-		keyLower.includes("unlicense") ||
-		nameLower.includes("public domain")
-	) {
-		return "No Conditions Whatsoever";
-	}
+// Output formats offered through modifier keys, rendered by process_license.js.
+// Their descriptions are the "format.<format>" strings of I18n.
+const OUTPUT_FORMAT_MODS = [
+	{ mod: "fn", format: "wrapped", keys: "fn" },
+	{ mod: "cmd+alt", format: "markdown", keys: "⌘⌥" },
+	{ mod: "alt+shift", format: "html", keys: "⌥⇧" },
+	{ mod: "alt+ctrl", format: "rtf", keys: "⌃⌥" },
+	{ mod: "fn+alt", format: "json", keys: "fn⌥" },
+];
 
-	// Permissive
-	if (
-		keyLower.includes("mit") ||
-		keyLower.includes("bsd") ||
-		keyLower.includes("apache") ||
-		keyLower.includes("bsl") ||
-		nameLower.includes("permissive")
-	) {
-		return "Permissive License";
-	}
+// SPDX license exceptions accepted after WITH
+const SPDX_EXCEPTIONS = [
+	"Autoconf-exception-3.0",
+	"Bison-exception-2.2",
+	"Classpath-exception-2.0",
+	"Font-exception-2.0",
+	"GCC-exception-3.1",
+	"LLVM-exception",
+	"Linux-syscall-note",
+	"OpenJDK-assembly-exception-1.0",
+	"Qt-LGPL-exception-1.1",
+	"Swift-exception",
+	"Universal-FOSS-exception-1.0",
+	"WxWindows-exception-3.1",
+];
+
+// Questions of the "help me choose" wizard, asked in order. Each option narrows the
+// candidates with the license's permissions, conditions and limitations. Their texts are the
+// wizard.<id>, wizard.<id>.<value> and wizard.<id>.<value>.reason strings of I18n.
+const WIZARD_QUESTIONS = [
+	{
+		id: "copyleft",
+		options: [
+			{
+				value: "yes",
+				test: (license) => license.conditions.includes("disclose-source"),
+			},
+			{
+				value: "no",
+				test: (license) => !license.conditions.includes("disclose-source"),
+			},
+		],
+	},
+	{
+		id: "scope",
+		when: (answers) => answers.copyleft === "yes",
+		options: [
+			{
+				value: "whole",
+				test: (license) => license.conditions.includes("same-license"),
+			},
+			{
+				value: "files",
+				test: (license) =>
+					license.conditions.includes("same-license--file") ||
+					license.conditions.includes("same-license--library"),
+			},
+		],
+	},
+	{
+		id: "network",
+		when: (answers) => answers.copyleft === "yes",
+		options: [
+			{
+				value: "yes",
+				test: (license) => license.conditions.includes("network-use-disclose"),
+			},
+			{
+				value: "no",
+				test: (license) => !license.conditions.includes("network-use-disclose"),
+			},
+		],
+	},
+	{
+		id: "patent",
+		options: [
+			{
+				value: "yes",
+				test: (license) => license.permissions.includes("patent-use"),
+			},
+			{
+				value: "no",
+				test: (license) => !license.permissions.includes("patent-use"),
+			},
+		],
+	},
+	{
+		id: "credit",
+		when: (answers) => answers.copyleft !== "yes",
+		options: [
+			{
+				value: "yes",
+				test: (license) => license.conditions.includes("include-copyright"),
+			},
+			{
+				value: "no",
+				test: (license) =>
+					!license.conditions.includes("include-copyright") &&
+					!license.conditions.includes("include-copyright--source"),
+			},
+		],
+	},
+];
+
+// Query keyword that starts the wizard, and the answer that skips a question
+const WIZARD_KEYWORD = ":choose";
+const WIZARD_ANY = "any";
+
+// Query keyword that picks licenses to compare side by side
+const COMPARE_KEYWORD = ":compare";
 
-	return "Open Source License";
+// Query keyword that checks if an inbound license fits an outbound project license
+const COMPATIBILITY_KEYWORD = ":compat";
+
+/**
+ * Describes the category of a license
+ * @param {Object} license - License object
+ * @returns {string} Category description in the configured locale
+ */
+function categorizeLicense(license) {
+	const category = Categories.get(license);
+	return I18n.t(category ? `category.${category.id}` : "category.unknown");
 }
 
 /**
- * Checks if cache file exists and is fresh
- * @param {string} cacheFile - Cache file path
- * @param {Object} fileManager - NSFileManager instance
- * @returns {boolean} True if cache is fresh
+ * Overlays licenses on top of a base list, matching by key
+ * @param {Object[]} base - Base licenses (bundled snapshot)
+ * @param {Object[]} overlay - Licenses that take precedence (GitHub cache)
+ * @returns {Object[]} Merged licenses in base order, new ones appended
  */
-function isCacheFresh(cacheFile, fileManager) {
-	if (!fileManager.fileExistsAtPath(cacheFile)) return false;
+function mergeLicenses(base, overlay) {
+	// The API list only has key, name and SPDX ID, so bundled details are kept
+	const merged = base.map((license) => ({
+		...license,
+		...overlay.find((l) => l.key === license.key),
+	}));
+	const added = overlay.filter((l) => !base.some((b) => b.key === l.key));
 
-	try {
-		const attrs = fileManager.attributesOfItemAtPathError(cacheFile, $());
-		if (!attrs) return false;
+	return merged.concat(added);
+}
 
-		const modDate = attrs.objectForKey($.NSFileModificationDate);
-		if (!modDate) return false;
+/**
+ * Adds the details of licenses used so far
+ * @param {Object[]} licenses - Licenses from getLicenses()
+ * @returns {Object[]} Licenses with the cached details merged in
+ */
+function addDetails(licenses) {
+	const used = Cache.read(USED_CACHE_NAME);
+	return mergeLicenses(licenses, used ? used.data : []);
+}
 
-		// Calculate expiry date once instead of time intervals
-		const expiryDate = modDate.dateByAddingTimeInterval(CACHE_EXPIRY);
-		const now = $.NSDate.date;
+/**
+ * Adds the user's custom templates, which replace the official license with the same key
+ * @param {Object[]} licenses - Licenses with details
+ * @param {Object[]} templates - Valid templates from Templates.load()
+ * @returns {Object[]} Custom templates first, then the official licenses
+ */
+function addTemplates(licenses, templates) {
+	return templates.concat(
+		licenses.filter((license) => !templates.some((t) => t.key === license.key))
+	);
+}
 
-		// Simple comparison: is current time before expiry?
-		return now.compare(expiryDate) === $.NSOrderedAscending;
-	} catch (e) {
-		// If we can't read file attributes, consider cache stale
-		return false;
-	}
+/**
+ * Converts malformed templates into Alfred items explaining what to fix
+ * @param {Object[]} errors - Malformed templates from Templates.load()
+ * @returns {Object[]} Array of Alfred item objects
+ */
+function makeTemplateErrorItems(errors) {
+	return errors.map((error) => ({
+		title: I18n.t("item.template_error", { file: error.file }),
+		subtitle: error.errors.join(" "),
+		match: `${error.file} template error`,
+		valid: false,
+		quicklookurl: error.path,
+	}));
 }
 
 /**
- * Reads and parses JSON from cache file
- * @param {string} cacheFile - Cache file path
- * @returns {Object[]|null} Parsed licenses or null
+ * Checks if a license has the rules needed to compare it
+ * @param {Object} license - License object
+ * @returns {boolean} True if it has permissions, conditions and limitations
  */
-function readCache(cacheFile) {
-	try {
-		const data = $.NSData.dataWithContentsOfFile(cacheFile);
-		if (!data) return null;
+function hasRules(license) {
+	return (
+		Array.isArray(license.permissions) &&
+		Array.isArray(license.conditions) &&
+		Array.isArray(license.limitations)
+	);
+}
 
-		const jsonString = $.NSString.alloc.initWithDataEncoding(
-			data,
-			$.NSUTF8StringEncoding
-		).js;
-		const licenses = JSON.parse(jsonString);
+/**
+ * Fetches licenses from GitHub API
+ * @returns {{licenses: Object[], etag: string|null}} Array of license objects and ETag
+ * @throws {Http.HttpError} If the request fails or the response is not a list
+ */
+function fetchLicenses() {
+	const { data, etag } = Http.fetchJson("/licenses");
 
-		return Array.isArray(licenses) ? licenses : null;
-	} catch (e) {
-		return null;
+	if (!Array.isArray(data)) {
+		throw new Http.HttpError("invalid_response", I18n.t("http.not_a_list"));
 	}
+
+	return { licenses: data, etag };
 }
 
 /**
- * Writes licenses to cache file
- * @param {string} cacheFile - Cache file path
- * @param {Object[]} licenses - Licenses to cache
+ * Gets licenses from the bundled snapshot with the GitHub cache or API on top.
+ * Stale caches are returned right away and refreshed in the background.
+ * @param {string} cacheName - Cache name
+ * @returns {Object[]} Array of license objects
+ * @throws {Http.HttpError} If nothing is cached and the API request fails
  */
-function writeCache(cacheFile, licenses) {
-	try {
-		const jsonString = JSON.stringify(licenses);
-		const nsString = $.NSString.stringWithString(jsonString);
-		nsString.writeToFileAtomicallyEncodingError(
-			cacheFile,
-			true,
-			$.NSUTF8StringEncoding,
-			$()
-		);
-	} catch (e) {
-		// Fail silently on cache write errors
+function getLicenses(cacheName) {
+	// Bundled licenses are the base layer, hidden ones stay out of the list
+	const snapshot = Cache.readSnapshot();
+	const bundled = (snapshot ? snapshot.licenses : []).filter(
+		(license) => !license.hidden
+	);
+	const cached = Cache.read(cacheName);
+
+	// Serve what we have and revalidate in the background when it's stale
+	if (cached || bundled.length > 0) {
+		if (!cached || !Cache.isFresh(cached.fetchedAt)) {
+			Cache.refreshInBackground();
+		}
+
+		return mergeLicenses(bundled, cached ? cached.data : []);
 	}
+
+	// Nothing to show yet: fetch fresh data from API
+	const { licenses, etag } = fetchLicenses();
+
+	// Cache the fresh data
+	Cache.write(cacheName, { data: licenses, source: Http.apiUrl(""), etag });
+
+	return licenses;
 }
 
 /**
- * Fetches licenses from GitHub API
- * @returns {Object[]|null} Array of license objects or null
+ * Formats how long ago a timestamp was, in the configured locale
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @returns {string} Relative time (e.g., "3 days ago")
  */
-function fetchLicenses() {
-	try {
-		const task = $.NSTask.alloc.init;
-		task.setLaunchPath("/usr/bin/curl");
-		task.setArguments([
-			"-L",
-			"-s",
-			"--max-time",
-			CURL_TIMEOUT.toString(),
-			"-H",
-			"Accept: application/vnd.github+json",
-			"-H",
-			"X-GitHub-Api-Version: 2022-11-28",
-			"-H",
-			"User-Agent: choosealicense-alfred-workflow",
-			GITHUB_API_URL,
-		]);
-
-		const pipe = $.NSPipe.pipe;
-		task.setStandardOutput(pipe);
-		task.setStandardError($.NSPipe.pipe);
-
-		task.launch;
-		task.waitUntilExit;
-
-		const data = pipe.fileHandleForReading.readDataToEndOfFile;
-
-		if (!data || data.length === 0) {
-			return null;
-		}
+function formatAge(timestamp) {
+	const minutes = Math.floor((Date.now() - timestamp) / 60000);
 
-		const jsonString = $.NSString.alloc.initWithDataEncoding(
-			data,
-			$.NSUTF8StringEncoding
-		).js;
+	if (minutes < 1) return I18n.t("age.now");
+	if (minutes < 60) return I18n.t("age.minutes", { n: minutes });
+	if (minutes < 1440) return I18n.t("age.hours", { n: Math.floor(minutes / 60) });
 
-		return JSON.parse(jsonString);
-	} catch (e) {
-		return null;
-	}
+	const days = Math.floor(minutes / 1440);
+	return days === 1 ? I18n.t("age.day") : I18n.t("age.days", { n: days });
 }
 
 /**
- * Gets licenses from cache or API
- * @param {string} cacheFile - Cache file path
- * @param {Object} fileManager - NSFileManager instance
- * @returns {Object[]|null} Array of license objects or null
+ * Converts the cache status into Alfred items
+ * @param {Object} status - Result of Cache.status()
+ * @returns {Object[]} Array of Alfred item objects
  */
-function getLicenses(cacheFile, fileManager) {
-	// Try cache first if it's fresh
-	if (isCacheFresh(cacheFile, fileManager)) {
-		const cachedLicenses = readCache(cacheFile);
-		if (cachedLicenses) return cachedLicenses;
-	}
+function makeCacheStatusItems(status) {
+	const items = status.caches.map((cache) => ({
+		title: I18n.t("cache.count", { name: cache.name, count: cache.count }),
+		subtitle: cache.fetchedAt
+			? I18n.t(cache.fresh ? "cache.fresh" : "cache.stale", { age: formatAge(cache.fetchedAt), source: cache.source })
+			: I18n.t(cache.newer ? "cache.newer" : "cache.missing"),
+		valid: false,
+	}));
 
-	// Fetch fresh data from API
-	const licenses = fetchLicenses();
+	items.push({
+		title: status.snapshot
+			? I18n.t("view.snapshot", { count: status.snapshot.count })
+			: I18n.t("view.no_snapshot"),
+		subtitle: status.snapshot
+			? I18n.t("cache.generated", { date: status.snapshot.generatedAt })
+			: I18n.t("cache.generate"),
+		valid: false,
+	});
 
-	// Cache the fresh data if successful
-	if (licenses && Array.isArray(licenses)) {
-		writeCache(cacheFile, licenses);
+	if (status.quarantined.length > 0) {
+		items.push({
+			title: I18n.t("cache.quarantined", { n: status.quarantined.length }),
+			subtitle: status.quarantined.join(", "),
+			arg: status.dir,
+			type: "file",
+			valid: true,
+		});
 	}
 
-	return licenses;
+	items.push({
+		title: status.refreshing ? I18n.t("cache.refreshing") : I18n.t("cache.refresh"),
+		subtitle: I18n.t("cache.refresh_text", { dir: status.dir }),
+		arg: "force",
+		valid: !status.refreshing,
+		variables: { cache_action: "refresh" },
+	});
+
+	return items;
+}
+
+/**
+ * Describes a license for its item subtitle
+ * @param {Object} license - License object
+ * @param {Object} usage - Result of Usage.read()
+ * @returns {string} Pin or last use, custom marker and category
+ */
+function describeLicense(license, usage) {
+	const category = license.custom
+		? I18n.t("item.custom", { category: categorizeLicense(license) })
+		: categorizeLicense(license);
+	const entry = usage.licenses[license.key];
+
+	if (usage.pins.includes(license.key)) return I18n.t("item.pinned", { category });
+	if (entry) return I18n.t("item.recent", { age: formatAge(new Date(entry.lastUsed).getTime()), category });
+
+	return category;
+}
+
+/**
+ * Converts search results into Alfred items that say where each license matched
+ * @param {Object[]} results - Results of Search.search()
+ * @param {Object} usage - Result of Usage.read()
+ * @param {string} query - Query every item must pass Alfred's filtering with
+ * @returns {Object[]} Array of Alfred item objects
+ */
+function makeSearchItems(results, usage, query) {
+	const items = makeItems(
+		results.map((result) => result.license),
+		usage
+	);
+
+	return items.map((item, i) => {
+		const { match } = results[i];
+
+		return {
+			...item,
+			subtitle: match
+				? I18n.t("search.matches", { facet: I18n.t(`search.${match.facet}`), text: match.text, subtitle: item.subtitle })
+				: item.subtitle,
+			match: query,
+		};
+	});
 }
 
 /**
  * Converts licenses into Alfred-compatible JSON items
  * @param {Object[]} licenses - Array of license objects
+ * @param {Object} [usage] - Result of Usage.read(), for pins and last uses
  * @returns {Object[]} Array of Alfred item objects
  */
-function makeItems(licenses) {
+function makeItems(licenses, usage = { pins: [], licenses: {} }) {
+	// No uid, so Alfred keeps the order of pins and usage instead of applying its own
 	return licenses.map((license) => ({
-		uid: license.key,
 		title: license.name,
-		subtitle: categorizeLicense(license.key, license.name),
+		subtitle: describeLicense(license, usage),
 		arg: license.key,
 		autocomplete: license.name,
 		valid: true,
-		match: `${license.name} ${license.key} ${license.spdx_id}`, // For Alfred's fuzzy matching
-		quicklookurl: `https://choosealicense.com/licenses/${license.key}/`,
+		quicklookurl: license.custom
+			? license.path
+			: `https://choosealicense.com/licenses/${license.key}/`,
 		variables: {
 			spdx_id_license: license.spdx_id,
 			key_license: license.key,
 		},
 		mods: {
 			cmd: {
-				subtitle: `⌘ Paste the ${license.spdx_id} on the frontmost app`,
+				subtitle: I18n.t("item.paste", { id: license.spdx_id }),
 				arg: license.key,
+				variables: {
+					spdx_id_license: license.spdx_id,
+					key_license: license.key,
+					paste_license: "1",
+				},
 			},
 			alt: {
-				subtitle: `⌥ View the detailed ${license.spdx_id} on the Text Viewer`,
+				subtitle: I18n.t("item.view", { id: license.spdx_id }),
+				arg: license.key,
+			},
+			shift: {
+				subtitle: I18n.t("item.header", { id: license.spdx_id }),
+				arg: license.key,
+				variables: {
+					spdx_id_license: license.spdx_id,
+					key_license: license.key,
+					license_output: "header",
+				},
+			},
+			ctrl: {
+				subtitle: I18n.t("item.save", { id: license.spdx_id }),
+				arg: license.key,
+			},
+			"ctrl+shift": {
+				subtitle: I18n.t("item.manifests", { id: license.spdx_id }),
+				arg: license.key,
+			},
+			"cmd+ctrl+shift": {
+				subtitle: I18n.t("item.manifests_write", { id: license.spdx_id }),
 				arg: license.key,
+				variables: {
+					spdx_id_license: license.spdx_id,
+					key_license: license.key,
+					write_manifests: "1",
+				},
+			},
+			"cmd+shift": {
+				subtitle: usage.pins.includes(license.key)
+					? I18n.t("item.unpin", { id: license.spdx_id })
+					: I18n.t("item.pin", { id: license.spdx_id }),
+				arg: license.key,
+				variables: {
+					spdx_id_license: license.spdx_id,
+					key_license: license.key,
+					pin_action: "toggle",
+				},
+			},
+			"cmd+ctrl": {
+				subtitle: I18n.t("item.overwrite", { id: license.spdx_id }),
+				arg: license.key,
+				variables: {
+					spdx_id_license: license.spdx_id,
+					key_license: license.key,
+					overwrite_license: "1",
+				},
+			},
+			...Object.fromEntries(
+				OUTPUT_FORMAT_MODS.map(({ mod, format, keys }) => [
+					mod,
+					{
+						subtitle: I18n.t("item.format", { keys, id: license.spdx_id, format: I18n.t(`format.${format}`) }),
+						arg: license.key,
+						variables: {
+							spdx_id_license: license.spdx_id,
+							key_license: license.key,
+							output_format: format,
+						},
+					},
+				])
+			),
+		},
+	}));
+}
+
+/**
+ * Checks if a query looks like an SPDX license expression
+ * @param {string} query - Search query
+ * @returns {boolean} True if the query uses SPDX operators or parentheses
+ */
+function isExpressionQuery(query) {
+	return /\b(AND|OR|WITH)\b|[()]/.test(query);
+}
+
+/**
+ * Splits an SPDX expression into tokens
+ * @param {string} expression - SPDX license expression
+ * @returns {string[]} Tokens
+ */
+function tokenizeExpression(expression) {
+	return expression.match(/[()]|[^\s()]+/g) || [];
+}
+
+/**
+ * Finds a license by SPDX identifier, ignoring case and -only/-or-later/+ suffixes
+ * @param {Object[]} licenses - Array of license objects
+ * @param {string} id - SPDX identifier from the expression
+ * @returns {{license: Object, id: string}|null} License and canonical identifier or null
+ */
+function findLicenseById(licenses, id) {
+	const match = id.match(/^(.+?)(-only|-or-later|\+)?$/i);
+	const base = match[1].toLowerCase();
+	const suffix = (match[2] || "").toLowerCase();
+
+	const license = licenses.find(
+		(l) => (l.spdx_id || "").toLowerCase() === base || l.key === base
+	);
+
+	return license ? { license, id: `${license.spdx_id}${suffix}` } : null;
+}
+
+/**
+ * Parses and validates an SPDX expression against the cached licenses
+ * @param {string} expression - SPDX license expression
+ * @param {Object[]} licenses - Array of license objects
+ * @returns {Object} Expression tree ({type: "license", id, key, name, exception} or {type: "and"|"or", items})
+ * @throws {Error} If the expression is malformed or names an unknown license or exception
+ */
+function parseExpression(expression, licenses) {
+	const tokens = tokenizeExpression(expression);
+	let position = 0;
+
+	const peek = () => (tokens[position] || "").toUpperCase();
+
+	const parsePrimary = () => {
+		const token = tokens[position++];
+
+		if (!token) throw new Error(I18n.t("expression.ends_early"));
+
+		if (token === "(") {
+			const node = parseOr();
+			if (tokens[position++] !== ")") throw new Error(I18n.t("expression.missing_paren"));
+			return node;
+		}
+
+		if (token === ")" || ["AND", "OR", "WITH"].includes(token.toUpperCase())) {
+			throw new Error(I18n.t("expression.unexpected", { token }));
+		}
+
+		const found = findLicenseById(licenses, token);
+		if (!found) throw new Error(I18n.t("expression.unknown_license", { id: token }));
+
+		return { type: "license", id: found.id, key: found.license.key, name: found.license.name };
+	};
+
+	const parseWith = () => {
+		const node = parsePrimary();
+		if (peek() !== "WITH") return node;
+
+		position++;
+		const token = tokens[position++] || "";
+		const exception = SPDX_EXCEPTIONS.find((e) => e.toLowerCase() === token.toLowerCase());
+
+		if (node.type !== "license") throw new Error(I18n.t("expression.with_single"));
+		if (!exception) throw new Error(I18n.t("expression.unknown_exception", { id: token }));
+
+		return { ...node, exception };
+	};
+
+	const parseOperator = (type, parseOperand) => () => {
+		const items = [parseOperand()];
+
+		while (peek() === type.toUpperCase()) {
+			position++;
+			items.push(parseOperand());
+		}
+
+		return items.length === 1 ? items[0] : { type, items };
+	};
+
+	const parseAnd = parseOperator("and", parseWith);
+	const parseOr = parseOperator("or", parseAnd);
+
+	const tree = parseOr();
+	if (position < tokens.length) throw new Error(I18n.t("expression.unexpected", { token: tokens[position] }));
+
+	return tree;
+}
+
+/**
+ * Formats an expression tree as a canonical SPDX expression
+ * @param {Object} node - Expression tree from parseExpression()
+ * @param {boolean} nested - True when inside another operator
+ * @returns {string} SPDX expression
+ */
+function formatExpression(node, nested = false) {
+	if (node.type === "license") {
+		return node.exception ? `${node.id} WITH ${node.exception}` : node.id;
+	}
+
+	const text = node.items
+		.map((item) => formatExpression(item, true))
+		.join(` ${node.type.toUpperCase()} `);
+
+	return nested ? `(${text})` : text;
+}
+
+/**
+ * Lists the licenses of an expression tree
+ * @param {Object} node - Expression tree from parseExpression()
+ * @returns {Object[]} License nodes in expression order
+ */
+function getExpressionLicenses(node) {
+	return node.type === "license" ? [node] : node.items.flatMap(getExpressionLicenses);
+}
+
+/**
+ * Converts an SPDX expression query into Alfred items
+ * @param {string} query - SPDX license expression
+ * @param {Object[]} licenses - Array of license objects
+ * @returns {Object[]} Array of Alfred item objects
+ */
+function makeExpressionItems(query, licenses) {
+	let tree;
+
+	try {
+		tree = parseExpression(query, licenses);
+	} catch (e) {
+		return [
+			{
+				title: I18n.t("expression.invalid"),
+				subtitle: e.message,
+				valid: false,
+			},
+		];
+	}
+
+	const expression = formatExpression(tree);
+	const names = getExpressionLicenses(tree).map((node) => node.name);
+	const variables = {
+		spdx_id_license: expression,
+		key_license: getExpressionLicenses(tree)[0].key,
+		license_expression: expression,
+		expression_tree: JSON.stringify(tree),
+	};
+
+	return [
+		{
+			uid: expression,
+			title: expression,
+			subtitle: I18n.t("expression.copy", { names: names.join(", ") }),
+			arg: expression,
+			autocomplete: expression,
+			match: query,
+			valid: true,
+			variables,
+			mods: {
+				cmd: {
+					subtitle: I18n.t("expression.paste", { id: expression }),
+					arg: expression,
+					variables: { ...variables, paste_license: "1" },
+				},
+				ctrl: {
+					subtitle: I18n.t("expression.save"),
+					arg: expression,
+					variables: { ...variables, license_layout: "separate" },
+				},
+				"ctrl+shift": {
+					subtitle: I18n.t("expression.manifests", { id: expression }),
+					arg: expression,
+					variables,
+				},
+				"cmd+ctrl+shift": {
+					subtitle: I18n.t("expression.manifests_write", { id: expression }),
+					arg: expression,
+					variables: { ...variables, write_manifests: "1" },
+				},
 			},
 		},
+	];
+}
+
+/**
+ * Parses the answers of the wizard from the query
+ * @param {string} query - Query after the wizard keyword (e.g., "copyleft=yes patent=any")
+ * @returns {Object} Answers by question ID, in the order they were given
+ */
+function parseWizardAnswers(query) {
+	const answers = {};
+
+	for (const token of query.split(/\s+/)) {
+		const [id, value] = token.split("=");
+		const question = WIZARD_QUESTIONS.find((q) => q.id === id);
+
+		if (
+			question &&
+			(value === WIZARD_ANY || question.options.some((o) => o.value === value))
+		) {
+			answers[id] = value;
+		}
+	}
+
+	return answers;
+}
+
+/**
+ * Builds the wizard query for a set of answers
+ * @param {Object} answers - Answers by question ID
+ * @returns {string} Query to autocomplete in Alfred
+ */
+function formatWizardQuery(answers) {
+	const tokens = Object.entries(answers).map(([id, value]) => `${id}=${value}`);
+	return [WIZARD_KEYWORD, ...tokens].join(" ") + " ";
+}
+
+/**
+ * Finds the next question that applies to the answers so far
+ * @param {Object} answers - Answers by question ID
+ * @returns {Object|undefined} Question or undefined when all are answered
+ */
+function getNextQuestion(answers) {
+	return WIZARD_QUESTIONS.find(
+		(question) =>
+			!(question.id in answers) && (!question.when || question.when(answers))
+	);
+}
+
+/**
+ * Gets the options chosen for the answers, skipping "doesn't matter"
+ * @param {Object} answers - Answers by question ID
+ * @returns {Object[]} Chosen options
+ */
+function getChosenOptions(answers) {
+	return WIZARD_QUESTIONS.filter((question) => question.id in answers)
+		.map((question) => question.options.find((o) => o.value === answers[question.id]))
+		.filter(Boolean);
+}
+
+/**
+ * Narrows licenses down to those that fit every answer
+ * @param {Object[]} licenses - Licenses with permissions, conditions and limitations
+ * @param {Object} answers - Answers by question ID
+ * @returns {Object[]} Matching licenses
+ */
+function filterCandidates(licenses, answers) {
+	const options = getChosenOptions(answers);
+	return licenses.filter((license) => options.every((option) => option.test(license)));
+}
+
+/**
+ * Lists a few license IDs for a subtitle
+ * @param {Object[]} licenses - Licenses
+ * @returns {string} Comma separated SPDX IDs, shortened after three
+ */
+function summarizeLicenses(licenses) {
+	const ids = licenses.slice(0, 3).map((license) => license.spdx_id);
+	const more = licenses.length > 3 ? ` +${licenses.length - 3}` : "";
+
+	return `${ids.join(", ")}${more}`;
+}
+
+/**
+ * Builds the items of the "help me choose" wizard
+ * @param {string} query - Query after the wizard keyword
+ * @param {Object[]} licenses - Licenses with permissions, conditions and limitations
+ * @returns {Object[]} Alfred items: the next question, then the remaining licenses
+ */
+function makeWizardItems(query, licenses) {
+	if (licenses.length === 0) {
+		return [
+			{
+				title: I18n.t("wizard.unavailable"),
+				subtitle: I18n.t("wizard.unavailable_text"),
+				valid: false,
+			},
+		];
+	}
+
+	const answers = parseWizardAnswers(query);
+	const candidates = filterCandidates(licenses, answers);
+	const question = getNextQuestion(answers);
+	const items = [];
+
+	// Next question, one item per answer with the licenses it would leave
+	if (question && candidates.length > 1) {
+		const options = [
+			...question.options,
+			{ value: WIZARD_ANY, test: () => true },
+		];
+
+		for (const option of options) {
+			const left = candidates.filter(option.test);
+			const answer = option.value === WIZARD_ANY
+				? I18n.t("wizard.any")
+				: I18n.t(`wizard.${question.id}.${option.value}`);
+
+			items.push({
+				title: `${I18n.t(`wizard.${question.id}`)} ${answer}`,
+				subtitle:
+					left.length > 0
+						? I18n.t("wizard.left", { n: left.length, total: candidates.length, ids: summarizeLicenses(left) })
+						: I18n.t("wizard.none_left"),
+				autocomplete: formatWizardQuery({ ...answers, [question.id]: option.value }),
+				valid: false,
+			});
+		}
+	}
+
+	if (candidates.length === 0) {
+		items.push({
+			title: I18n.t("wizard.no_fit"),
+			subtitle: I18n.t("wizard.no_fit_text", { any: I18n.t("wizard.any") }),
+			valid: false,
+		});
+	}
+
+	// Going back drops the last answer
+	const given = Object.keys(answers);
+	if (given.length > 0) {
+		const last = given[given.length - 1];
+		const previous = { ...answers };
+		delete previous[last];
+
+		items.push({
+			title: I18n.t("wizard.back"),
+			subtitle: I18n.t("wizard.back_text", { question: I18n.t(`wizard.${last}`) }),
+			autocomplete: formatWizardQuery(previous),
+			valid: false,
+		});
+	}
+
+	// Remaining licenses, with the reasons they fit
+	const reasons = WIZARD_QUESTIONS.filter(
+		(question) => question.id in answers && answers[question.id] !== WIZARD_ANY
+	).map((question) => I18n.t(`wizard.${question.id}.${answers[question.id]}.reason`));
+	const licenseItems = makeItems(candidates).map((item) => ({
+		...item,
+		subtitle: reasons.length > 0 ? I18n.t("wizard.fits", { reasons: reasons.join(", ") }) : item.subtitle,
 	}));
+
+	// Alfred filters by the query, which every wizard item must pass
+	return items
+		.concat(licenseItems)
+		.map((item) => ({ ...item, match: `${WIZARD_KEYWORD} ${query}` }));
+}
+
+/**
+ * Reads the licenses typed after a keyword such as ":compare"
+ * @param {string} query - Query after the keyword (e.g., "MPL-2.0 vs LGPL-3.0")
+ * @param {Object[]} licenses - Available licenses
+ * @returns {{chosen: Object[], partial: string, unknown: string|null}} Licenses found, the word still being typed and the first unknown ID
+ */
+function pickLicenses(query, licenses) {
+	const tokens = query
+		.split(/[\s,]+/)
+		.filter((token) => token && !/^(vs|and|in|into|->|→)$/i.test(token));
+	const chosen = [];
+	let partial = "";
+
+	for (const [i, token] of tokens.entries()) {
+		const found = findLicenseById(licenses, token);
+
+		if (found && !chosen.includes(found.license)) {
+			chosen.push(found.license);
+		} else if (!found && i === tokens.length - 1 && !/\s$/.test(query)) {
+			// The last word may still be being typed
+			partial = token.toLowerCase();
+		} else if (!found) {
+			return { chosen, partial, unknown: token };
+		}
+	}
+
+	return { chosen, partial, unknown: null };
+}
+
+/**
+ * Builds the items that add one more license to a keyword query
+ * @param {string} keyword - Query keyword (e.g., ":compare")
+ * @param {Object[]} chosen - Licenses already picked
+ * @param {string} partial - Word being typed
+ * @param {Object[]} licenses - Available licenses
+ * @param {string} subtitle - Subtitle of every item
+ * @returns {Object[]} Alfred items that autocomplete the license
+ */
+function makePickItems(keyword, chosen, partial, licenses, subtitle) {
+	const prefix = [keyword, ...chosen.map((license) => license.spdx_id)].join(" ");
+
+	return licenses
+		.filter(
+			(license) =>
+				!chosen.includes(license) &&
+				`${license.name} ${license.key} ${license.spdx_id}`.toLowerCase().includes(partial)
+		)
+		.map((license) => ({
+			title: I18n.t("pick.add", { name: license.name }),
+			subtitle,
+			autocomplete: `${prefix} ${license.spdx_id} `,
+			valid: false,
+		}));
+}
+
+/**
+ * Builds the items that pick licenses for a side-by-side comparison
+ * @param {string} query - Query after the compare keyword (e.g., "MPL-2.0 LGPL-3.0")
+ * @param {Object[]} licenses - Available licenses
+ * @returns {Object[]} Alfred items: the comparison, then licenses to add
+ */
+function makeCompareItems(query, licenses) {
+	const { chosen, partial, unknown } = pickLicenses(query, licenses);
+
+	if (unknown) {
+		return [{ title: I18n.t("pick.unknown", { id: unknown }), subtitle: I18n.t("compare.unknown_text"), match: `${COMPARE_KEYWORD} ${query}`, valid: false }];
+	}
+
+	const ids = chosen.map((license) => license.spdx_id);
+	const items = [];
+
+	if (chosen.length >= 2) {
+		const variables = {
+			spdx_id_license: ids[0],
+			key_license: chosen[0].key,
+			compare_licenses: chosen.map((license) => license.key).join(","),
+		};
+
+		items.push({
+			uid: `compare-${variables.compare_licenses}`,
+			title: I18n.t("compare.title", { ids: ids.join(" vs ") }),
+			subtitle: I18n.t("compare.view"),
+			valid: false,
+			variables,
+			mods: {
+				alt: {
+					subtitle: I18n.t("compare.view_side", { ids: ids.join(" vs ") }),
+					arg: chosen[0].key,
+					valid: true,
+					variables,
+				},
+			},
+		});
+	}
+
+	// Licenses that can still be added
+	const subtitle = chosen.length > 0 ? I18n.t("compare.with", { ids: ids.join(", ") }) : I18n.t("compare.choose");
+	items.push(...makePickItems(COMPARE_KEYWORD, chosen, partial, licenses, subtitle));
+
+	// Alfred filters by the query, which every compare item must pass
+	return items.map((item) => ({ ...item, match: `${COMPARE_KEYWORD} ${query}` }));
+}
+
+/**
+ * Builds the items that check whether one license can be included in a project under another
+ * @param {string} query - Query after the compatibility keyword (e.g., "Apache-2.0 GPL-2.0")
+ * @param {Object[]} licenses - Available licenses
+ * @returns {Object[]} Alfred items: the verdict, or licenses to pick
+ */
+function makeCompatibilityItems(query, licenses) {
+	const match = `${COMPATIBILITY_KEYWORD} ${query}`;
+	const { chosen, partial, unknown } = pickLicenses(query, licenses);
+
+	if (unknown) {
+		return [{ title: I18n.t("pick.unknown", { id: unknown }), subtitle: I18n.t("compat.unknown_text"), match, valid: false }];
+	}
+
+	if (chosen.length < 2) {
+		const subtitle = chosen.length === 0
+			? I18n.t("compat.choose_inbound")
+			: I18n.t("compat.choose_outbound", { id: chosen[0].spdx_id });
+
+		return makePickItems(COMPATIBILITY_KEYWORD, chosen, partial, licenses, subtitle)
+			.map((item) => ({ ...item, match }));
+	}
+
+	const [inbound, outbound] = chosen;
+	const verdict = Compatibility.check(inbound.key, outbound.key);
+	const variables = {
+		spdx_id_license: inbound.spdx_id,
+		key_license: inbound.key,
+		compat_inbound: inbound.key,
+		compat_outbound: outbound.key,
+	};
+
+	return [
+		{
+			uid: `compat-${inbound.key}-${outbound.key}`,
+			title: I18n.t("compat.title", { verdict: I18n.t(`compat.${verdict.status}`), inbound: inbound.spdx_id, outbound: outbound.spdx_id }),
+			subtitle: verdict.reason,
+			match,
+			valid: false,
+			variables,
+			mods: {
+				alt: {
+					subtitle: I18n.t("compat.view"),
+					arg: inbound.key,
+					valid: true,
+					variables,
+				},
+			},
+		},
+	];
+}
+
+/**
+ * Splits category filters (e.g., ":copyleft") from the other words of the query
+ * @param {string} query - User query
+ * @returns {{categories: string[]|null, words: string[]}} Category IDs (null without a filter) and search words
+ */
+function parseCategoryQuery(query) {
+	const categories = new Set();
+	const words = [];
+
+	for (const token of query.toLowerCase().split(/\s+/).filter(Boolean)) {
+		const name = token.slice(1);
+		const ids = Categories.resolve(name);
+
+		if (token.startsWith(":") && ids.length > 0) {
+			ids.forEach((id) => categories.add(id));
+		} else {
+			words.push(token);
+		}
+	}
+
+	return { categories: categories.size > 0 ? [...categories] : null, words };
+}
+
+/**
+ * Filters licenses by category
+ * @param {Object[]} licenses - Licenses with details
+ * @param {string[]} categories - Category IDs to keep
+ * @returns {Object[]} Licenses in one of the categories
+ */
+function filterByCategory(licenses, categories) {
+	return licenses.filter((license) => {
+		const category = Categories.get(license);
+		return category && categories.includes(category.id);
+	});
 }
 
 /**
@@ -244,32 +1019,88 @@ function makeItems(licenses) {
  * @returns {string} JSON string for Alfred Script Filter
  */
 function run(argv) {
-	// Create cache directory if it doesn't exist
-	FILE_MANAGER.createDirectoryAtPathWithIntermediateDirectoriesAttributesError(
-		$(CACHE_DIR),
-		true,
-		$(),
-		$()
-	);
+	const query = (argv[0] || "").trim();
+
+	// Cache status doesn't need the license list
+	if (query === ":cache") {
+		const items = makeCacheStatusItems(Cache.status(CACHE_STATUS_NAMES));
+
+		// Alfred filters by the query, which the status items must pass
+		return JSON.stringify({ items: items.map((item) => ({ ...item, match: query })) });
+	}
 
 	// Get licenses from cache or API
-	const licenses = getLicenses(CACHE_FILE, FILE_MANAGER);
+	let licenses;
+
+	try {
+		licenses = getLicenses(CACHE_NAME);
+	} catch (e) {
+		return JSON.stringify({ items: [Http.describeError(e)] });
+	}
+
+	// Categories and the wizard go by the details of each license
+	const templates = Templates.load();
+	const detailed = addTemplates(addDetails(licenses), templates.licenses);
+
+	if (query.startsWith(WIZARD_KEYWORD)) {
+		const items = makeWizardItems(
+			query.slice(WIZARD_KEYWORD.length).trim(),
+			detailed.filter(hasRules)
+		);
+		return JSON.stringify({ items });
+	}
+
+	// Keep the trailing space, it tells a finished ID from one being typed
+	const rest = (argv[0] || "").trimStart().replace(/^:\S+\s*/, "");
+
+	if (query.startsWith(COMPARE_KEYWORD)) {
+		return JSON.stringify({ items: makeCompareItems(rest, detailed) });
+	}
+
+	if (query.startsWith(COMPATIBILITY_KEYWORD)) {
+		return JSON.stringify({ items: makeCompatibilityItems(rest, detailed) });
+	}
+
+	// Pinned licenses come first, then the most used
+	const usage = Usage.read();
+	const ranked = Usage.rank(detailed, usage);
+
+	// Category filters are applied here, so every item must pass Alfred's filtering
+	const { categories, words } = parseCategoryQuery(query);
+	if (categories) {
+		const items = makeSearchItems(
+			Search.search(filterByCategory(ranked, categories), words.join(" ")),
+			usage,
+			query
+		);
 
-	if (!licenses || !Array.isArray(licenses)) {
 		return JSON.stringify({
-			items: [
-				{
-					title: "Error fetching licenses",
-					subtitle:
-						"Could not connect to GitHub API. Please try again.",
-					valid: false,
-				},
-			],
+			items:
+				items.length > 0
+					? items
+					: [{ title: I18n.t("search.none"), subtitle: I18n.t("search.none_in_categories", { categories: categories.join(", "), query: words.join(" ") }), match: query, valid: false }],
+		});
+	}
+
+	// SPDX expressions are validated here instead of matched by name
+	if (isExpressionQuery(query)) {
+		return JSON.stringify({ items: makeExpressionItems(query, detailed) });
+	}
+
+	// Search descriptions, rules and license texts here, Alfred only matches names
+	if (query) {
+		const results = Search.search(ranked, query);
+
+		return JSON.stringify({
+			items:
+				results.length > 0
+					? makeSearchItems(results, usage, query)
+					: [{ title: I18n.t("search.none"), subtitle: I18n.t("search.none_text", { query }), match: query, valid: false }],
 		});
 	}
 
-	// Convert to Alfred items (no filtering - let Alfred handle it)
-	const items = makeItems(licenses);
+	// Pinned and recently used licenses first, with malformed templates above them
+	const items = makeTemplateErrorItems(templates.errors).concat(makeItems(ranked, usage));
 
 	return JSON.stringify({ items });
 }
@@ -1,318 +1,957 @@
 ObjC.import("Foundation");
 ObjC.import("stdlib");
 
-const GITHUB_LICENSE_API_URL = "https://api.github.com/licenses";
-const CURL_TIMEOUT = 5;
-const CACHE_EXPIRY = 31536000; // 1 year in seconds
+const CACHE_NAME = "used-licenses";
+const YEAR_MODES = ["current", "range", "git", "keep"];
+const RICH_TEXT_FORMATS = ["html", "rtf"];
+const EXISTING_LICENSE_FILENAMES = ["LICENSE", "LICENSE.md", "LICENSE.txt", "LICENCE", "COPYING", "COPYING.md"];
+
+// Shared helpers and loadLib(), see src/lib/workflow.js
+(0, eval)($.NSString.stringWithContentsOfFileEncodingError(`${$.NSFileManager.defaultManager.currentDirectoryPath.js}/src/lib/workflow.js`, $.NSUTF8StringEncoding, $()).js);
+const { loadLib, getVariable, readFile } = Workflow;
+
+loadLib("http");
+loadLib("cache");
+loadLib("templates");
+loadLib("usage");
+loadLib("formats");
+loadLib("result");
+loadLib("copyright");
+loadLib("identify");
+loadLib("i18n");
+
+// Placeholder tokens per license key. Each entry names the field that fills it;
+// `after` limits the substitution to tokens directly preceded by that text.
+const PLACEHOLDERS = {
+    "agpl-3.0": [
+        { token: "<one line to give the program's name and a brief idea of what it does.>", field: "summary" },
+        { token: "<year>", field: "year" },
+        { token: "<name of author>", field: "author" },
+    ],
+    "apache-2.0": [
+        { token: "[yyyy]", field: "year" },
+        { token: "[name of copyright owner]", field: "author" },
+    ],
+    "bsd-2-clause": [
+        { token: "[year]", field: "year" },
+        { token: "[fullname]", field: "author" },
+    ],
+    "bsd-3-clause": [
+        { token: "[year]", field: "year" },
+        { token: "[fullname]", field: "author" },
+    ],
+    "bsd-4-clause": [
+        { token: "[year]", field: "year" },
+        { token: "[fullname]", field: "author" },
+        { token: "[project]", field: "project" },
+    ],
+    "ecl-2.0": [
+        { token: "[yyyy]", field: "year" },
+        { token: "[name of copyright owner]", field: "author" },
+    ],
+    "gpl-2.0": [
+        { token: "<one line to give the program's name and a brief idea of what it does.>", field: "summary" },
+        { token: "<year>", field: "year" },
+        { token: "<name of author>", field: "author" },
+    ],
+    "gpl-3.0": [
+        { token: "<one line to give the program's name and a brief idea of what it does.>", field: "summary" },
+        { token: "<program>", field: "project" },
+        { token: "<year>", field: "year" },
+        { token: "<name of author>", field: "author" },
+    ],
+    "isc": [
+        { token: "[year]", field: "year" },
+        { token: "[fullname]", field: "author" },
+    ],
+    "lgpl-2.1": [
+        { token: "<one line to give the library's name and a brief idea of what it does.>", field: "summary" },
+        { token: "<year>", field: "year" },
+        { token: "<name of author>", field: "author" },
+    ],
+    "mit": [
+        { token: "[year]", field: "year" },
+        { token: "[fullname]", field: "author" },
+    ],
+    "mit-0": [
+        { token: "[year]", field: "year" },
+        { token: "[fullname]", field: "author" },
+    ],
+    "ncsa": [
+        { token: "[year]", field: "year" },
+        { token: "[fullname]", field: "author" },
+        { token: "[project]", field: "project" },
+        { token: "[projecturl]", field: "url" },
+    ],
+    "ofl-1.1": [
+        { token: "[year]", field: "year" },
+        { token: "[fullname]", field: "author" },
+        { token: "[email]", field: "contact" },
+    ],
+    "wtfpl": [
+        { token: "2004", field: "year", after: "Copyright (C) " },
+        { token: "Sam Hocevar <sam@hocevar.net>", field: "authorWithEmail" },
+    ],
+
+    // No placeholders in the license text
+    "bsl-1.0": [],
+    "cc-by-4.0": [],
+    "cc0-1.0": [],
+    "epl-2.0": [],
+    "lgpl-3.0": [],
+    "mpl-2.0": [],
+    "unlicense": [],
+};
+
+// How several copyright holders are rendered: "lines" repeats the copyright
+// line once per holder, "joined" lists all holders in a single line.
+const HOLDER_FORMS = {
+    "bsd-2-clause": "lines",
+    "bsd-3-clause": "lines",
+    "bsd-4-clause": "lines",
+    "isc": "lines",
+    "mit": "lines",
+    "mit-0": "lines",
+    "ofl-1.1": "lines",
+};
+const DEFAULT_HOLDER_FORM = "joined";
+
+// Used for license keys missing from the table above
+const DEFAULT_PLACEHOLDERS = [
+    { token: "[year]", field: "year" },
+    { token: "[yyyy]", field: "year" },
+    { token: "<year>", field: "year" },
+    { token: "[fullname]", field: "author" },
+    { token: "[name of copyright owner]", field: "author" },
+    { token: "<name of author>", field: "author" },
+    { token: "[email]", field: "contact" },
+    { token: "[project]", field: "project" },
+    { token: "[projecturl]", field: "url" },
+];
+
+// Anything still looking like a placeholder after the substitutions is reported as unfilled.
+// Bracketed letters inside words (CeCILL's "Ce[a] C[nrs]"), links, addresses and anchors are not placeholders.
+const LEFTOVER_PLACEHOLDER_PATTERN = /(?:^|[^\w\]])(\[[a-z][^[\]\n]*\])(?![\w(])|(<[a-z][^<>\n]*>)/gi;
+const NOT_PLACEHOLDERS = ["<signature of Ty Coon>"];
+
+// Standard per-file notices. Licenses without one get an SPDX header instead.
+const LICENSE_HEADERS = {
+    "agpl-3.0": [
+        "<one line to give the program's name and a brief idea of what it does.>",
+        "Copyright (C) <year>  <name of author>",
+        "",
+        "This program is free software: you can redistribute it and/or modify",
+        "it under the terms of the GNU Affero General Public License as published by",
+        "the Free Software Foundation, either version 3 of the License, or",
+        "(at your option) any later version.",
+        "",
+        "This program is distributed in the hope that it will be useful,",
+        "but WITHOUT ANY WARRANTY; without even the implied warranty of",
+        "MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the",
+        "GNU Affero General Public License for more details.",
+        "",
+        "You should have received a copy of the GNU Affero General Public License",
+        "along with this program.  If not, see <https://www.gnu.org/licenses/>.",
+    ],
+    "apache-2.0": [
+        "Copyright [yyyy] [name of copyright owner]",
+        "",
+        "Licensed under the Apache License, Version 2.0 (the \"License\");",
+        "you may not use this file except in compliance with the License.",
+        "You may obtain a copy of the License at",
+        "",
+        "    http://www.apache.org/licenses/LICENSE-2.0",
+        "",
+        "Unless required by applicable law or agreed to in writing, software",
+        "distributed under the License is distributed on an \"AS IS\" BASIS,",
+        "WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.",
+        "See the License for the specific language governing permissions and",
+        "limitations under the License.",
+    ],
+    "epl-2.0": [
+        "Copyright (c) [year] [fullname]",
+        "",
+        "This program and the accompanying materials are made available under the",
+        "terms of the Eclipse Public License 2.0 which is available at",
+        "http://www.eclipse.org/legal/epl-2.0.",
+        "",
+        "SPDX-License-Identifier: EPL-2.0",
+    ],
+    "gpl-2.0": [
+        "<one line to give the program's name and a brief idea of what it does.>",
+        "Copyright (C) <year>  <name of author>",
+        "",
+        "This program is free software; you can redistribute it and/or modify",
+        "it under the terms of the GNU General Public License as published by",
+        "the Free Software Foundation; either version 2 of the License, or",
+        "(at your option) any later version.",
+        "",
+        "This program is distributed in the hope that it will be useful,",
+        "but WITHOUT ANY WARRANTY; without even the implied warranty of",
+        "MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the",
+        "GNU General Public License for more details.",
+        "",
+        "You should have received a copy of the GNU General Public License along",
+        "with this program; if not, write to the Free Software Foundation, Inc.,",
+        "51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.",
+    ],
+    "gpl-3.0": [
+        "<one line to give the program's name and a brief idea of what it does.>",
+        "Copyright (C) <year>  <name of author>",
+        "",
+        "This program is free software: you can redistribute it and/or modify",
+        "it under the terms of the GNU General Public License as published by",
+        "the Free Software Foundation, either version 3 of the License, or",
+        "(at your option) any later version.",
+        "",
+        "This program is distributed in the hope that it will be useful,",
+        "but WITHOUT ANY WARRANTY; without even the implied warranty of",
+        "MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the",
+        "GNU General Public License for more details.",
+        "",
+        "You should have received a copy of the GNU General Public License",
+        "along with this program.  If not, see <https://www.gnu.org/licenses/>.",
+    ],
+    "lgpl-2.1": [
+        "<one line to give the library's name and a brief idea of what it does.>",
+        "Copyright (C) <year>  <name of author>",
+        "",
+        "This library is free software; you can redistribute it and/or",
+        "modify it under the terms of the GNU Lesser General Public",
+        "License as published by the Free Software Foundation; either",
+        "version 2.1 of the License, or (at your option) any later version.",
+        "",
+        "This library is distributed in the hope that it will be useful,",
+        "but WITHOUT ANY WARRANTY; without even the implied warranty of",
+        "MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU",
+        "Lesser General Public License for more details.",
+        "",
+        "You should have received a copy of the GNU Lesser General Public",
+        "License along with this library; if not, write to the Free Software",
+        "Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA",
+    ],
+    "lgpl-3.0": [
+        "<one line to give the program's name and a brief idea of what it does.>",
+        "Copyright (C) <year>  <name of author>",
+        "",
+        "This program is free software: you can redistribute it and/or modify",
+        "it under the terms of the GNU Lesser General Public License as published by",
+        "the Free Software Foundation, either version 3 of the License, or",
+        "(at your option) any later version.",
+        "",
+        "This program is distributed in the hope that it will be useful,",
+        "but WITHOUT ANY WARRANTY; without even the implied warranty of",
+        "MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the",
+        "GNU Lesser General Public License for more details.",
+        "",
+        "You should have received a copy of the GNU Lesser General Public License",
+        "along with this program.  If not, see <https://www.gnu.org/licenses/>.",
+    ],
+    "mpl-2.0": [
+        "This Source Code Form is subject to the terms of the Mozilla Public",
+        "License, v. 2.0. If a copy of the MPL was not distributed with this",
+        "file, You can obtain one at https://mozilla.org/MPL/2.0/.",
+    ],
+};
+
+// Comment delimiters: `line` prefixes every line, `start`/`end` wrap a block
+const COMMENT_STYLES = {
+    "//": { line: "//" },
+    "#": { line: "#" },
+    "/*": { start: "/*", line: " *", end: " */" },
+    "<!--": { start: "<!--", line: " ", end: "-->" },
+    "--": { line: "--" },
+    ";;": { line: ";;" },
+};
+
+// Comment style per language or file extension
+const LANGUAGE_COMMENT_STYLES = {
+    "//": ["c", "cpp", "cs", "dart", "go", "java", "javascript", "js", "jsx", "kotlin", "kt", "php", "rs", "rust", "scala", "swift", "ts", "tsx", "typescript"],
+    "#": ["bash", "dockerfile", "makefile", "perl", "pl", "py", "python", "r", "rb", "ruby", "sh", "toml", "yaml", "yml", "zsh"],
+    "/*": ["css", "less", "scss"],
+    "<!--": ["html", "markdown", "md", "svg", "vue", "xml"],
+    "--": ["elm", "haskell", "hs", "lua", "sql"],
+    ";;": ["clj", "clojure", "el", "elisp", "lisp", "scheme", "scm"],
+};
 
-// Cache configuration - initialized once globally
-const ENV = $.NSProcessInfo.processInfo.environment;
-const WORKFLOW_CACHE = ObjC.unwrap(ENV.objectForKey("alfred_workflow_cache"));
-const CACHE_DIR = WORKFLOW_CACHE || "/tmp/alfred-choosealicense-cache";
-const FILE_MANAGER = $.NSFileManager.defaultManager;
-const CACHE_FILE = `${CACHE_DIR}/used-licenses.json`;
+/**
+ * Splits the author variable into copyright holders
+ * @param {string} author - Holders separated by new lines or semicolons
+ * @returns {string[]} Copyright holders
+ */
+function parseAuthors(author) {
+    return (author || "")
+        .split(/[\n;]/)
+        .map(name => name.trim())
+        .filter(Boolean);
+}
 
 /**
- * Replaces author placeholder in license text based on license key
- * @param {string} author - Author name to insert
- * @param {string} key - License key (e.g., "mit", "apache-2.0")
+ * Resolves the copyright holders, using the "The X Authors" form when requested
+ * @param {string[]} authors - Holders from the author variable
+ * @param {string} style - "list" or "authors"
+ * @param {string} project - Project name for the "authors" style
+ * @returns {string[]} Copyright holders
+ */
+function resolveHolders(authors, style, project) {
+    return style === "authors" && project ? [`The ${project} Authors`] : authors;
+}
+
+/**
+ * Joins copyright holders into one string (e.g., "Acme Inc., Jane Doe and contributors")
+ * @param {string[]} holders - Copyright holders
+ * @param {boolean} contributors - True to append the "and contributors" clause
+ * @returns {string} Joined holders or empty string
+ */
+function joinHolders(holders, contributors) {
+    if (holders.length === 0) return "";
+
+    const names = contributors ? [...holders, "contributors"] : holders;
+    if (names.length === 1) return names[0];
+
+    return `${names.slice(0, -1).join(", ")} and ${names[names.length - 1]}`;
+}
+
+/**
+ * Resolves the value for each placeholder field
+ * @param {Object} values - Raw values (holders, contributors, email, project, description, url, year)
+ * @returns {Object} Field values keyed by field name, empty when unknown
+ */
+function resolveFields(values) {
+    const { holders = [], contributors, email, project, description, url, year } = values;
+    const author = joinHolders(holders, contributors);
+
+    return {
+        author,
+        authorWithEmail: author && email ? `${author} <${email}>` : author,
+        holders,
+        contributors: Boolean(contributors),
+        contact: email || url || "",
+        email: email || "",
+        project: project || "",
+        summary: project && description ? `${project} - ${description}` : project || "",
+        url: url || "",
+        year: year || "",
+    };
+}
+
+/**
+ * Escapes a string for use in a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} Escaped pattern
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Repeats each line holding an author placeholder once per copyright holder
  * @param {string} text - License text with placeholders
- * @returns {string} License text with author replaced
+ * @param {Object[]} placeholders - Placeholder entries of the license
+ * @param {Object} fields - Field values from resolveFields()
+ * @returns {string} License text with one copyright line per holder
  */
-function replaceAuthor(author, key, text) {
-    // Use [fullname] as fallback if author is not provided
-    const authorName = author || "[fullname]";
-
-    switch (key) {
-        case "agpl-3.0":
-        case "gpl-2.0":
-        case "gpl-3.0":
-        case "lgpl-2.1":
-            text = text.replace(/<name of author>/g, authorName);
-            break;
-
-        case "apache-2.0":
-            text = text.replace(/\[name of copyright owner\]/g, authorName);
-            break;
-
-        case "bsd-2-clause":
-        case "bsd-3-clause":
-        case "mit":
-        case "bsd-4-clause":
-        case "isc":
-            text = text.replace(/\[fullname\]/g, authorName);
-            break;
-
-        case "wtfpl":
-            text = text.replace(/Sam Hocevar <sam@hocevar\.net>/g, authorName);
-            break;
-
-        case "bsl-1.0":
-        case "cc0-1.0":
-        case "epl-2.0":
-        case "mpl-2.0":
-        case "unlicense":
-        case "cc-by-4.0":
-        case "lgpl-3.0":
-        default:
-            break;
+function expandHolderLines(text, placeholders, fields) {
+    const { holders, contributors } = fields;
+    const last = holders.length - 1;
+
+    for (const { token, field } of placeholders) {
+        if (field !== "author") continue;
+
+        const line = new RegExp(`^.*${escapeRegExp(token)}.*$`, "gm");
+        text = text.replace(line, (match) =>
+            holders
+                .map((holder, i) => match.replace(token, () =>
+                    i === last && contributors ? `${holder} and contributors` : holder
+                ))
+                .join("\n")
+        );
     }
 
     return text;
 }
 
 /**
- * Replaces year placeholder in license text based on license key
- * @param {string} year - Year to insert
+ * Finds the text of a license that looks like a placeholder, e.g. "[projecturl]" or "<insert your license name here>"
+ * @param {string} text - License text
+ * @returns {string[]} Distinct placeholder tokens
+ */
+function findPlaceholderTokens(text) {
+    const tokens = [...text.matchAll(LEFTOVER_PLACEHOLDER_PATTERN)]
+        .map(match => match[1] || match[2])
+        .filter(token => !/:\/\/|@/.test(token) && !NOT_PLACEHOLDERS.includes(token));
+
+    return [...new Set(tokens)];
+}
+
+/**
+ * Replaces the placeholders of a license with field values
  * @param {string} key - License key (e.g., "mit", "apache-2.0")
  * @param {string} text - License text with placeholders
- * @returns {string} License text with year replaced
+ * @param {Object} fields - Field values from resolveFields()
+ * @param {Object[]} [placeholders] - Placeholder entries, defaults to the license's table entry
+ * @returns {{text: string, unfilled: string[], substitutions: Object[]}} Processed text, tokens left in it and the {token, field, value} replaced
  */
-function replaceYear(year, key, text) {
-    switch (key) {
-        case "agpl-3.0":
-        case "gpl-2.0":
-        case "gpl-3.0":
-        case "lgpl-2.1":
-            text = text.replace(/<year>/g, year);
-            break;
-
-        case "apache-2.0":
-            text = text.replace(/\[yyyy\]/g, year);
-            break;
-
-        case "bsd-2-clause":
-        case "bsd-3-clause":
-        case "mit":
-        case "bsd-4-clause":
-        case "isc":
-            text = text.replace(/\[year\]/g, year);
-            break;
-
-        case "wtfpl": {
-            // Replace second occurrence
-            let count = 0;
-            text = text.replace(/2004/g, (match) => (++count === 2 ? year : match));
-            break;
+function replacePlaceholders(key, text, fields, placeholders = PLACEHOLDERS[key] || DEFAULT_PLACEHOLDERS) {
+    const unfilled = [];
+    const leftovers = findPlaceholderTokens(text);
+    const substitutions = placeholders
+        .filter(({ token, field, after = "" }) => fields[field] && text.includes(after + token))
+        .map(({ token, field }) => ({ token, field, value: fields[field] }));
+
+    if ((HOLDER_FORMS[key] || DEFAULT_HOLDER_FORM) === "lines" && fields.holders.length > 1) {
+        text = expandHolderLines(text, placeholders, fields);
+    }
+
+    for (const { token, field, after = "" } of placeholders) {
+        const pattern = new RegExp(`(${escapeRegExp(after)})${escapeRegExp(token)}`, "g");
+        const value = fields[field];
+
+        if (value) {
+            text = text.replace(pattern, (match, prefix) => prefix + value);
         }
 
-        case "bsl-1.0":
-        case "cc0-1.0":
-        case "epl-2.0":
-        case "mpl-2.0":
-        case "unlicense":
-        case "cc-by-4.0":
-        case "lgpl-3.0":
-        default:
-            break;
+        if (pattern.test(text) && !unfilled.includes(token)) {
+            unfilled.push(token);
+        }
     }
 
-    return text;
+    // Tokens missing from the table stay in the text, so report them as well
+    for (const token of leftovers) {
+        if (text.includes(token) && !unfilled.includes(token)) {
+            unfilled.push(token);
+        }
+    }
+
+    return { text, unfilled, substitutions };
 }
 
 /**
- * Processes license text by replacing placeholders
- * @param {Object} license - License object from API
- * @param {string} author - Author name from Alfred variable
- * @returns {string} Processed license body text
+ * Gets the year of the first commit in a git repository
+ * @param {string} dir - Repository folder
+ * @returns {number|null} Year of the oldest root commit or null
  */
-function processLicense(license, author) {
-    if (!license || !license.body) return "";
+function getFirstCommitYear(dir) {
+    try {
+        const task = $.NSTask.alloc.init;
+        task.setLaunchPath("/usr/bin/git");
+        task.setArguments(["-C", dir, "log", "--max-parents=0", "--format=%ad", "--date=format:%Y"]);
+
+        const pipe = $.NSPipe.pipe;
+        task.setStandardOutput(pipe);
+        task.setStandardError($.NSPipe.pipe);
 
-    const currentYear = new Date().getFullYear().toString();
-    let processedBody = license.body;
+        task.launch;
+        task.waitUntilExit;
 
-    // Replace author placeholder
-    processedBody = replaceAuthor(author, license.key, processedBody);
+        if (task.terminationStatus !== 0) return null;
 
-    // Replace year placeholder
-    processedBody = replaceYear(currentYear, license.key, processedBody);
+        const data = pipe.fileHandleForReading.readDataToEndOfFile;
+        const output = $.NSString.alloc.initWithDataEncoding(data, $.NSUTF8StringEncoding).js;
+        const years = output.split("\n").map(Number).filter(Boolean);
 
-    return processedBody;
+        return years.length > 0 ? Math.min(...years) : null;
+    } catch (e) {
+        return null;
+    }
 }
 
 /**
- * Checks if cache file exists and is fresh
- * @param {string} cacheFile - Cache file path
- * @param {Object} fileManager - NSFileManager instance
- * @returns {boolean} True if cache is fresh
+ * Finds the project's copyright line in an existing license file, skipping the ones that
+ * belong to the license text such as the FSF's in the GPL or Sam Hocevar's in the WTFPL
+ * @param {string} dir - Project folder
+ * @returns {{name: string, text: string, holder: Object}|null} File name, contents and the line from Copyright.findHolderLine(), or null
  */
-function isCacheFresh(cacheFile, fileManager) {
-    if (!fileManager.fileExistsAtPath(cacheFile)) return false;
+function findExistingCopyright(dir) {
+    const cached = Cache.read(CACHE_NAME);
+    const snapshot = Cache.readSnapshot();
+    const authors = Copyright.authorLines([...(cached ? cached.data : []), ...(snapshot ? snapshot.licenses : [])]);
+
+    for (const name of EXISTING_LICENSE_FILENAMES) {
+        const text = readFile(`${dir}/${name}`);
+        const holder = text && Copyright.findHolderLine(text, authors);
+        if (holder) return { name, text, holder };
+    }
 
-    try {
-        const attrs = fileManager.attributesOfItemAtPathError(cacheFile, $());
-        if (!attrs) return false;
+    return null;
+}
 
-        const modDate = attrs.objectForKey($.NSFileModificationDate);
-        if (!modDate) return false;
+/**
+ * Formats a year span, collapsing it to a single year when it starts this year
+ * @param {number|null} start - First year or null
+ * @param {number} end - Last year
+ * @returns {string} Year or year range (e.g., "2019-2026")
+ */
+function formatYearRange(start, end) {
+    return start && start < end ? `${start}-${end}` : end.toString();
+}
+
+/**
+ * Resolves the copyright year according to the configured mode
+ * @param {string} mode - One of YEAR_MODES
+ * @param {number|null} startYear - Configured start year
+ * @param {string} dir - Project folder for the git mode
+ * @param {Object|null} existing - Result of findExistingCopyright() for the keep mode
+ * @returns {string} Year or year range to insert
+ */
+function resolveYear(mode, startYear, dir, existing) {
+    const currentYear = new Date().getFullYear();
 
-        // Calculate expiry date once instead of time intervals
-        const expiryDate = modDate.dateByAddingTimeInterval(CACHE_EXPIRY);
-        const now = $.NSDate.date;
+    switch (mode) {
+        case "range":
+            return formatYearRange(startYear, currentYear);
 
-        // Simple comparison: is current time before expiry?
-        return now.compare(expiryDate) === $.NSOrderedAscending;
-    } catch (e) {
-        // If we can't read file attributes, consider cache stale
-        return false;
+        case "git":
+            return formatYearRange((dir && getFirstCommitYear(dir)) || startYear, currentYear);
+
+        case "keep":
+            // Only the end year moves; the existing start year is preserved
+            return formatYearRange((existing && existing.holder.start) || startYear, currentYear);
+
+        case "current":
+        default:
+            return currentYear.toString();
     }
 }
 
 /**
- * Reads and parses JSON from cache file
- * @param {string} cacheFile - Cache file path
- * @returns {Object[]|null} Parsed cache array or null
+ * Processes license text by replacing placeholders
+ * @param {Object} license - License object from API
+ * @param {Object} values - Values from Alfred variables (holders, contributors, email, project, description, url, year)
+ * @returns {{body: string, unfilled: string[], substitutions: Object[]}} Processed license body, unfilled placeholders and substitutions made
  */
-function readCache(cacheFile) {
-    try {
-        const data = $.NSData.dataWithContentsOfFile(cacheFile);
-        if (!data) return null;
+function processLicense(license, values) {
+    if (!license || !license.body) return { body: "", unfilled: [], substitutions: [] };
 
-        const jsonString = $.NSString.alloc.initWithDataEncoding(data, $.NSUTF8StringEncoding).js;
-        const cache = JSON.parse(jsonString);
+    const year = values.year || new Date().getFullYear().toString();
+    const fields = resolveFields({ ...values, year });
+    const { text, unfilled, substitutions } = replacePlaceholders(license.key, license.body, fields);
 
-        return Array.isArray(cache) ? cache : null;
-    } catch (e) {
-        return null;
+    return { body: text, unfilled, substitutions };
+}
+
+/**
+ * Updates the project's existing copy of a license in place: only the end year of its
+ * copyright line moves, so the holders and any other edits are kept
+ * @param {Object} license - License object from API
+ * @param {Object|null} existing - Result of findExistingCopyright()
+ * @returns {{body: string, unfilled: string[], substitutions: Object[]}|null} Updated file, or null if the file holds another license
+ */
+function updateExistingLicense(license, existing) {
+    if (!existing || Identify.identify(existing.text, [license]).level !== "high") return null;
+
+    const { index, line, years } = existing.holder;
+    const updated = Copyright.updateEndYear(line, new Date().getFullYear());
+    const lines = existing.text.replace(/\r\n/g, "\n").split("\n");
+    lines[index] = updated;
+
+    const value = Copyright.findHolderLine(updated, new Set()).years;
+
+    // Placeholders left in the file, such as those in the GPL's appendix, are the project's choice
+    return {
+        body: lines.join("\n").trimEnd(),
+        unfilled: [],
+        substitutions: value !== years ? [{ token: years, field: "year", value }] : [],
+    };
+}
+
+/**
+ * Picks the comment style for a language, accepting a comment delimiter as well
+ * @param {string} language - Language name, file extension or delimiter
+ * @returns {Object} Comment style from COMMENT_STYLES
+ */
+function getCommentStyle(language) {
+    const name = (language || "").toLowerCase().replace(/^\./, "");
+
+    if (COMMENT_STYLES[name]) return COMMENT_STYLES[name];
+
+    const delimiter = Object.keys(LANGUAGE_COMMENT_STYLES)
+        .find(style => LANGUAGE_COMMENT_STYLES[style].includes(name));
+
+    return COMMENT_STYLES[delimiter || "//"];
+}
+
+/**
+ * Wraps text in a comment
+ * @param {string} text - Text to comment out
+ * @param {Object} style - Comment style from COMMENT_STYLES
+ * @returns {string} Commented text
+ */
+function wrapInComment(text, style) {
+    const lines = text.split("\n").map(line => (line ? `${style.line} ${line}` : style.line).trimEnd());
+
+    if (style.start) {
+        lines.unshift(style.start);
+        lines.push(style.end);
     }
+
+    return lines.join("\n");
 }
 
 /**
- * Writes cache array to file
- * @param {string} cacheFile - Cache file path
- * @param {Object[]} cacheData - Cache data array to write
+ * Builds the header template of a license
+ * @param {Object} license - License object from API
+ * @param {boolean} spdx - True to always use the SPDX form
+ * @returns {string} Header text with placeholders
  */
-function writeCache(cacheFile, cacheData) {
-    try {
-        const jsonString = JSON.stringify(cacheData, null, 2);
-        const nsString = $.NSString.stringWithString(jsonString);
-        nsString.writeToFileAtomicallyEncodingError(
-            cacheFile,
-            true,
-            $.NSUTF8StringEncoding,
-            $()
+function getHeaderTemplate(license, spdx) {
+    // A custom template that replaces a standard license doesn't have its notice
+    const standard = !license.custom && LICENSE_HEADERS[license.key];
+
+    if (standard && !spdx) return standard.join("\n");
+
+    return `Copyright (c) [year] [fullname]\nSPDX-License-Identifier: ${license.spdx_id}`;
+}
+
+/**
+ * Processes the source file header of a license
+ * @param {Object} license - License object from API
+ * @param {Object} values - Values from Alfred variables (holders, contributors, email, project, description, url, year)
+ * @param {Object} options - Header options (spdx, language)
+ * @returns {{body: string, unfilled: string[], substitutions: Object[]}} Commented header, unfilled placeholders and substitutions made
+ */
+function processHeader(license, values, options) {
+    if (!license) return { body: "", unfilled: [], substitutions: [] };
+
+    const year = values.year || new Date().getFullYear().toString();
+    const fields = resolveFields({ ...values, year });
+    const placeholders = [...(PLACEHOLDERS[license.key] || []), ...DEFAULT_PLACEHOLDERS];
+    const template = getHeaderTemplate(license, options.spdx);
+    const { text, unfilled, substitutions } = replacePlaceholders(license.key, template, fields, placeholders);
+
+    return { body: wrapInComment(text, getCommentStyle(options.language)), unfilled, substitutions };
+}
+
+/**
+ * Lists the licenses of an SPDX expression tree
+ * @param {Object} node - Expression tree built by list_licenses.js
+ * @returns {Object[]} License nodes in expression order
+ */
+function getExpressionLicenses(node) {
+    return node.type === "license" ? [node] : node.items.flatMap(getExpressionLicenses);
+}
+
+/**
+ * Builds the file name of a license in the separate layout (e.g., "LICENSE-APACHE")
+ * @param {Object} license - License object from API
+ * @param {Object[]} licenses - All licenses of the expression
+ * @returns {string} File name
+ */
+function getSeparateFileName(license, licenses) {
+    const family = license.spdx_id.split("-")[0];
+    const shared = licenses.some(l => l !== license && l.spdx_id.split("-")[0] === family);
+
+    return `LICENSE-${(shared ? license.spdx_id : family).toUpperCase()}`;
+}
+
+/**
+ * Explains how the licenses of an SPDX expression apply
+ * @param {Object} tree - Expression tree built by list_licenses.js
+ * @param {string} expression - Canonical SPDX expression
+ * @returns {string} Explanation paragraphs
+ */
+function explainExpression(tree, expression) {
+    const paragraphs = [`SPDX-License-Identifier: ${expression}`];
+
+    if (tree.type === "or") {
+        paragraphs.push(
+            "This project is multi-licensed. You may use, copy, modify and distribute it under the terms of any one of the licenses below, at your option."
+        );
+    } else if (tree.type === "and") {
+        paragraphs.push(
+            "This project is covered by all of the licenses below. You must comply with each of them."
+        );
+    } else {
+        paragraphs.push(`This project is licensed under the ${tree.name}.`);
+    }
+
+    if (tree.type !== "license" && tree.items.some(item => item.type !== "license")) {
+        paragraphs.push(
+            "Parenthesized groups follow the same rules: OR offers a choice between licenses, AND requires all of them."
+        );
+    }
+
+    for (const node of getExpressionLicenses(tree).filter(node => node.exception)) {
+        paragraphs.push(
+            `The ${node.id} license applies with the ${node.exception} exception. The exception text is not included here; add it from https://spdx.org/licenses/${node.exception}.html.`
         );
-    } catch (e) {
-        // Fail silently on cache write errors
     }
+
+    return paragraphs.join("\n\n");
 }
 
 /**
- * Fetches a specific license from GitHub API
- * @param {string} licenseKey - License key (e.g., "mit", "apache-2.0")
- * @returns {Object|null} License object or null
+ * Processes every license of an SPDX expression into a combined document and separate files
+ * @param {Object} tree - Expression tree built by list_licenses.js
+ * @param {string} expression - Canonical SPDX expression
+ * @param {Object[]} licenses - License objects in expression order
+ * @param {Object} values - Values from Alfred variables (holders, contributors, email, project, description, url, year)
+ * @returns {{body: string, unfilled: string[], substitutions: Object[], files: Object[]}} Combined document, unfilled placeholders, substitutions made in each license and {name, body} files
  */
-function fetchLicense(licenseKey) {
-    try {
-        const task = $.NSTask.alloc.init;
-        task.setLaunchPath("/bin/sh");
-        task.setArguments([
-            "-c",
-            `curl -s --max-time ${CURL_TIMEOUT} -H "Accept: application/vnd.github+json" -H "X-GitHub-Api-Version: 2022-11-28" "${GITHUB_LICENSE_API_URL}/${licenseKey}"`,
-        ]);
+function processExpression(tree, expression, licenses, values) {
+    const unique = licenses.filter((license, i) => licenses.findIndex(l => l.key === license.key) === i);
+    const rule = "=".repeat(80);
+    const sections = [explainExpression(tree, expression)];
+    const unfilled = [];
+    const substitutions = [];
+    const files = [];
+
+    for (const license of unique) {
+        const processed = processLicense(license, values);
+        substitutions.push(...processed.substitutions.map(substitution => ({ license: license.key, ...substitution })));
+
+        sections.push(`${rule}\n${license.name}\n${rule}\n\n${processed.body}`);
+        files.push({ name: getSeparateFileName(license, unique), body: processed.body });
+        unfilled.push(...processed.unfilled.filter(token => !unfilled.includes(token)));
+    }
 
-        const pipe = $.NSPipe.pipe;
-        task.setStandardOutput(pipe);
-        task.setStandardError($.NSPipe.pipe);
+    return { body: sections.join("\n\n"), unfilled, substitutions, files };
+}
 
-        task.launch;
-        task.waitUntilExit;
+/**
+ * Renders the processed text in the output format chosen with a modifier key
+ * @param {string} format - Value of the output_format variable, empty for plain text
+ * @param {Object} doc - Processed license ({title, licenses, body, unfilled, substitutions, year, holders})
+ * @returns {{text: string, extra: Object}} Rendered text and the variables rich text formats need
+ */
+function renderOutput(format, doc) {
+    if (!Formats.FORMATS.includes(format)) {
+        return { text: doc.body, extra: {} };
+    }
 
-        const data = pipe.fileHandleForReading.readDataToEndOfFile;
+    const text = Formats.render(format, doc, { width: parseInt(getVariable("wrap_width"), 10) || null });
 
-        if (!data || data.length === 0) {
-            return null;
-        }
+    // Rich text is copied with a plain text version for apps that can't paste it
+    return { text, extra: RICH_TEXT_FORMATS.includes(format) ? { plain_text: doc.body } : {} };
+}
 
-        const jsonString = $.NSString.alloc.initWithDataEncoding(
-            data,
-            $.NSUTF8StringEncoding
-        ).js;
+/**
+ * Builds the Alfred JSON output passing the text on as arg, following the Result contract
+ * @param {string} body - Processed text
+ * @param {string[]} unfilled - Unfilled placeholders
+ * @param {Object} values - Values from Alfred variables
+ * @param {Object} [result] - Metadata, warnings and additional variables ({metadata, warnings, variables})
+ * @returns {string} JSON string for Alfred
+ */
+function makeOutput(body, unfilled, values, { metadata = {}, warnings = [], variables = {} } = {}) {
+    return Result.success(body, {
+        metadata,
+        warnings,
+        variables: {
+            unfilled_placeholders: unfilled.join(", "),
+            license_year: values.year,
+            license_holders: joinHolders(values.holders, values.contributors),
+            ...variables,
+        },
+    });
+}
 
-        return JSON.parse(jsonString);
-    } catch (e) {
-        return null;
+/**
+ * Builds the Alfred JSON output for a license that could not be loaded
+ * @param {string} licenseKey - License key or SPDX expression
+ * @param {Error} error - Error thrown by getLicense()
+ * @returns {string} JSON string for Alfred
+ */
+function makeError(licenseKey, error) {
+    const { title, subtitle } = Http.describeError(error);
+    return Result.failure(`Could not load ${licenseKey}: ${title}`, subtitle, { key: licenseKey });
+}
+
+/**
+ * Fetches a specific license from GitHub API
+ * @param {string} licenseKey - License key (e.g., "mit", "apache-2.0")
+ * @returns {{license: Object, etag: string|null}} License object and ETag
+ * @throws {Http.HttpError} If the request fails or returns a different license
+ */
+function fetchLicense(licenseKey) {
+    const { data, etag } = Http.fetchJson(`/licenses/${encodeURIComponent(licenseKey)}`);
+
+    // Only a license object for the requested key may end up in the cache
+    if (!data || data.key !== licenseKey || typeof data.body !== "string") {
+        throw new Http.HttpError("invalid_response", I18n.t("http.not_a_license", { key: licenseKey }));
     }
+
+    return { license: data, etag };
 }
 
 /**
- * Gets a license from cache or fetches from API
+ * Gets a license from the custom templates, the cache or the API, falling back to the bundled snapshot.
+ * Stale cached licenses are returned right away and refreshed in the background.
  * @param {string} licenseKey - License key to retrieve
- * @param {string} cacheFile - Cache file path
- * @param {Object} fileManager - NSFileManager instance
- * @returns {Object|null} License object or null
+ * @param {string} cacheName - Cache name
+ * @returns {{license: Object, source: string, warning: string|null}} License, where it came from ("template", "cache", "api" or "snapshot") and why it may be outdated
+ * @throws {Http.HttpError} If the license is neither cached, bundled nor available from the API
  */
-function getLicense(licenseKey, cacheFile, fileManager) {
-    // Check if cache is fresh
-    if (isCacheFresh(cacheFile, fileManager)) {
-        // Read cache and search for specific license
-        const cache = readCache(cacheFile) || [];
-        const cachedLicense = cache.find(license => license.key === licenseKey);
-        if (cachedLicense) {
-            return cachedLicense;
+function getLicense(licenseKey, cacheName) {
+    // Custom templates take precedence and are read fresh, so edits apply right away
+    const template = Templates.find(licenseKey);
+    if (template) {
+        return { license: template, source: "template", warning: null };
+    }
+
+    // Serve cached licenses right away and revalidate stale ones in the background
+    const cached = Cache.read(cacheName);
+    const cachedLicense = cached && cached.data.find(license => license.key === licenseKey);
+    if (cachedLicense) {
+        const entry = cached.entries[licenseKey];
+        if (!Cache.isFresh(entry ? entry.fetchedAt : cached.fetchedAt)) {
+            Cache.refreshInBackground();
         }
+        return { license: cachedLicense, source: "cache", warning: null };
     }
 
-    // Cache not fresh, expired, or license not found
+    // License not cached yet
     // Fetch from API
-    const license = fetchLicense(licenseKey);
-
-    if (license && license.key) {
-        // Read existing cache (even if stale, preserve other licenses)
-        let cache = readCache(cacheFile) || [];
-
-        // Remove old version if exists
-        cache = cache.filter(l => l.key !== licenseKey);
+    try {
+        const { license, etag } = fetchLicense(licenseKey);
 
-        // Add fresh license
-        cache.push(license);
+        // Add fresh license, preserving the other cached licenses
+        Cache.putEntry(cacheName, license, { source: Http.apiUrl(""), etag });
 
-        // Write updated cache
-        writeCache(cacheFile, cache);
+        return { license, source: "api", warning: null };
+    } catch (e) {
+        // Offline or API error: fall back to the bundled snapshot
+        const snapshot = Cache.readSnapshot();
+        const bundledLicense = snapshot && snapshot.licenses.find(l => l.key === licenseKey);
+        if (bundledLicense) {
+            const { title } = Http.describeError(e);
+            return { license: bundledLicense, source: "snapshot", warning: `${title}, so the bundled copy of ${bundledLicense.spdx_id} is used. It may be older than the one on GitHub.` };
+        }
 
-        return license;
+        throw e;
     }
-
-    return null;
 }
 
 /**
  * Main entry point
  * @param {string[]} argv - Command line arguments (license key)
- * @returns {string} JSON string with license data or error
+ * @returns {string} JSON string for Alfred following the Result contract
  */
 function run(argv) {
     const licenseKey = argv[0]?.trim();
 
     if (!licenseKey) {
-        return JSON.stringify({
-            error: "No license key provided",
-        });
+        return Result.failure("No license key provided", "Choose a license from the list and try again.");
     }
 
-    // Get author from Alfred workflow variable
-    const author = ObjC.unwrap(ENV.objectForKey("author"));
+    // Get placeholder values from Alfred workflow variables
+    const project = getVariable("project_name");
+    const values = {
+        holders: resolveHolders(parseAuthors(getVariable("author")), getVariable("holder_style"), project),
+        contributors: getVariable("and_contributors") === "1",
+        email: getVariable("author_email"),
+        project,
+        description: getVariable("project_description"),
+        url: getVariable("project_url"),
+    };
+
+    // Resolve the copyright year from the configured mode
+    const yearMode = YEAR_MODES.includes(getVariable("year_mode")) ? getVariable("year_mode") : "current";
+    const dir = getVariable("license_dir") || getVariable("default_license_dir");
+    const existing = yearMode === "keep" && dir ? findExistingCopyright(dir) : null;
+    values.year = resolveYear(yearMode, parseInt(getVariable("start_year"), 10) || null, dir, existing);
+
+    // SPDX expressions combine several licenses into one document
+    const expressionTree = getVariable("expression_tree");
+    if (expressionTree) {
+        let tree;
+        let nodes;
+
+        try {
+            tree = JSON.parse(expressionTree);
+            nodes = getExpressionLicenses(tree);
+        } catch (e) {
+            return Result.failure(`Could not read the ${licenseKey} expression`, "Type the expression in Alfred again and choose it from the list.", { key: licenseKey });
+        }
 
-    // Create cache directory if it doesn't exist
-    FILE_MANAGER.createDirectoryAtPathWithIntermediateDirectoriesAttributesError(
-        $(CACHE_DIR),
-        true,
-        $(),
-        $()
-    );
+        let results;
 
-    // Get license from cache or API
-    const license = getLicense(licenseKey, CACHE_FILE, FILE_MANAGER);
+        try {
+            results = nodes.map(node => getLicense(node.key, CACHE_NAME));
+        } catch (e) {
+            return makeError(licenseKey, e);
+        }
+
+        const licenses = results.map(result => result.license);
+
+        const { body, unfilled, substitutions, files } = processExpression(tree, licenseKey, licenses, values);
+        Usage.recordUse(nodes.map(node => node.key));
 
-    if (!license) {
-        return JSON.stringify({
-            error: `Failed to fetch license: ${licenseKey}`,
+        const { text, extra } = renderOutput(getVariable("output_format"), {
+            title: licenseKey,
+            licenses: licenses.filter((license, i) => licenses.indexOf(license) === i),
+            body,
+            unfilled,
+            substitutions,
+            year: values.year,
+            holders: values.holders,
+        });
+
+        return makeOutput(text, unfilled, values, {
+            metadata: { key: licenseKey, spdx_id: licenseKey, licenses: nodes.map(node => node.key), sources: results.map(result => result.source) },
+            warnings: [...new Set(results.map(result => result.warning).filter(Boolean))],
+            variables: { license_files: JSON.stringify(files), ...extra },
         });
     }
 
-    // Process license body with author and year
-    const processedBody = processLicense(license, author);
+    // Get license from cache or API
+    let result;
 
-    return processedBody;
+    try {
+        result = getLicense(licenseKey, CACHE_NAME);
+    } catch (e) {
+        return makeError(licenseKey, e);
+    }
+
+    const { license, source, warning } = result;
+
+    // The license list only has names, a license without its text can't be used
+    if (!license.body) {
+        return Result.failure(`The ${license.spdx_id || licenseKey} text is not available`, "Type :cache in Alfred and refresh the cache, then try again.", { key: licenseKey });
+    }
+
+    // Process the source file header or the license body with placeholder values and year.
+    // In keep mode the project's existing copy of the license is updated instead.
+    const kept = getVariable("license_output") === "header" ? null : updateExistingLicense(license, existing);
+    const { body, unfilled, substitutions } = getVariable("license_output") === "header"
+        ? processHeader(license, values, {
+            spdx: getVariable("header_style") === "spdx",
+            language: getVariable("header_language"),
+        })
+        : kept || processLicense(license, values);
+
+    // Frequently used licenses move up the list
+    Usage.recordUse([licenseKey]);
+
+    // The Text Viewer highlights the substitutions and shows the header under "How to Apply"
+    const header = getVariable("license_output") === "header"
+        ? null
+        : processHeader(license, values, { spdx: false, language: getVariable("header_language") });
+    const viewer = header
+        ? {
+            license_substitutions: JSON.stringify(substitutions),
+            license_header: header.body,
+            license_header_standard: !license.custom && LICENSE_HEADERS[license.key] ? "1" : "",
+        }
+        : {};
+
+    const { text, extra } = renderOutput(getVariable("output_format"), {
+        title: license.name,
+        licenses: [license],
+        body,
+        unfilled,
+        substitutions,
+        year: values.year,
+        holders: values.holders,
+    });
+
+    // Pass the text on as arg and report unfilled placeholders as a variable
+    return makeOutput(text, unfilled, values, {
+        metadata: { key: license.key, spdx_id: license.spdx_id, name: license.name, source },
+        warnings: [
+            warning,
+            kept && `The text of the existing ${existing.name} is used with only the end year of its copyright line updated.`,
+        ].filter(Boolean),
+        variables: { ...viewer, ...extra },
+    });
 }
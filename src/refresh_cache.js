@@ -0,0 +1,150 @@
+ObjC.import("Foundation");
+ObjC.import("stdlib");
+
+const LIST_CACHE_NAME = "list-licenses";
+const USED_CACHE_NAME = "used-licenses";
+
+// Shared helpers and loadLib(), see src/lib/workflow.js
+(0, eval)($.NSString.stringWithContentsOfFileEncodingError(`${$.NSFileManager.defaultManager.currentDirectoryPath.js}/src/lib/workflow.js`, $.NSUTF8StringEncoding, $()).js);
+const { loadLib } = Workflow;
+
+loadLib("http");
+loadLib("cache");
+loadLib("i18n");
+
+/**
+ * Revalidates one cached resource
+ * @param {string} path - API path (e.g., "/licenses/mit")
+ * @param {Object} entry - Cached ETag and fetch time ({etag, fetchedAt})
+ * @param {boolean} force - True to revalidate even if the resource is fresh
+ * @param {Function} isValid - Checks a parsed 200 response before it is cached
+ * @returns {{outcome: string, value: *, etag: string|null, error: Error|null}} Outcome ("fresh", "unchanged", "updated" or "failed"), parsed body, ETag and error
+ */
+function revalidate(path, entry, force, isValid) {
+    if (!force && Cache.isFresh(entry.fetchedAt)) {
+        return { outcome: "fresh", value: null, etag: entry.etag, error: null };
+    }
+
+    // Each request renews the lock, however long the whole refresh takes
+    Cache.touchRefreshLock();
+
+    try {
+        const response = Http.fetchJson(path, { etag: entry.etag });
+
+        if (response.status === 304) {
+            return { outcome: "unchanged", value: null, etag: response.etag, error: null };
+        }
+
+        if (!isValid(response.data)) {
+            throw new Http.HttpError("invalid_response", I18n.t("http.unexpected", { path }));
+        }
+
+        return { outcome: "updated", value: response.data, etag: response.etag, error: null };
+    } catch (e) {
+        return { outcome: "failed", value: null, etag: entry.etag, error: e };
+    }
+}
+
+/**
+ * Refreshes the license list and every cached license, and fetches the details of listed licenses that have none
+ * @param {boolean} force - True to revalidate fresh entries as well
+ * @returns {Object} Count of outcomes and the first error
+ */
+function refreshCache(force) {
+    const source = Http.apiUrl("");
+    const counts = { fresh: 0, unchanged: 0, updated: 0, failed: 0, error: null };
+
+    const record = (result) => {
+        counts[result.outcome]++;
+        counts.error = counts.error || result.error;
+        return result;
+    };
+
+    // License list
+    const cachedList = Cache.read(LIST_CACHE_NAME);
+    const list = record(revalidate("/licenses", cachedList || {}, force, Array.isArray));
+
+    if (list.value || (cachedList && list.outcome === "unchanged")) {
+        Cache.write(LIST_CACHE_NAME, { data: list.value || cachedList.data, source, etag: list.etag });
+    }
+
+    // Licenses used so far
+    const used = Cache.read(USED_CACHE_NAME);
+    if (used) {
+        const entries = { ...used.entries };
+        let changed = false;
+
+        const data = used.data.map(license => {
+            // Further requests would fail the same way once the rate limit is hit
+            if (counts.error && counts.error.kind === "rate_limit") {
+                counts.failed++;
+                return license;
+            }
+
+            const entry = entries[license.key] || { etag: null, fetchedAt: used.fetchedAt };
+            const path = `/licenses/${encodeURIComponent(license.key)}`;
+            const result = record(revalidate(path, entry, force, value => value && value.key === license.key));
+
+            if (result.outcome === "updated" || result.outcome === "unchanged") {
+                entries[license.key] = { etag: result.etag, fetchedAt: Date.now(), source };
+                changed = true;
+            }
+
+            return result.value || license;
+        });
+
+        if (changed) {
+            Cache.write(USED_CACHE_NAME, { data, source, etag: used.etag, entries });
+        }
+    }
+
+    // Details of listed licenses that neither the snapshot nor the cache has, for search and categories
+    const snapshot = Cache.readSnapshot();
+    const known = new Set([
+        ...(snapshot ? snapshot.licenses : []).map(license => license.key),
+        ...((Cache.read(USED_CACHE_NAME) || { data: [] }).data).map(license => license.key),
+    ]);
+    const listed = (Cache.read(LIST_CACHE_NAME) || { data: [] }).data;
+
+    for (const license of listed.filter(l => !known.has(l.key))) {
+        if (counts.error && counts.error.kind === "rate_limit") {
+            counts.failed++;
+            continue;
+        }
+
+        const path = `/licenses/${encodeURIComponent(license.key)}`;
+        const result = record(revalidate(path, {}, true, value => value && value.key === license.key));
+
+        if (result.value) {
+            Cache.putEntry(USED_CACHE_NAME, result.value, { source, etag: result.etag });
+        }
+    }
+
+    return counts;
+}
+
+/**
+ * Main entry point, run in the background by the Script Filter or manually
+ * @param {string[]} argv - Command line arguments ("force" to ignore the TTL, "locked" when the caller already took the refresh lock)
+ * @returns {string} Refresh summary for a notification
+ */
+function run(argv) {
+    const args = argv.map(arg => arg.trim());
+    const force = args.includes("force");
+
+    // Cache.refreshInBackground() takes the lock before starting this script, a manual run takes it here
+    if (!args.includes("locked") && !Cache.acquireRefreshLock()) {
+        return I18n.t("refresh.running");
+    }
+
+    try {
+        const { updated, unchanged, fresh, failed, error } = refreshCache(force);
+        const counts = { updated, unchanged, fresh, failed };
+
+        return failed > 0
+            ? I18n.t("refresh.summary_failed", { ...counts, error: Http.describeError(error).title })
+            : I18n.t("refresh.summary", counts);
+    } finally {
+        Cache.releaseRefreshLock();
+    }
+}
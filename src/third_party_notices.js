@@ -0,0 +1,364 @@
+ObjC.import("Foundation");
+ObjC.import("stdlib");
+
+const CACHE_NAME = "used-licenses";
+const LICENSE_FILE_PATTERN = /^(LICEN[CS]E|COPYING)([-.].*)?$/i;
+const NOTICE_FILE_PATTERN = /^NOTICE(\.(md|txt))?$/i;
+// Short lines above the copyright, such as "MIT License" or "Version 2.0, January 2004"
+const TITLE_LINE_PATTERN = /^[^a-z].{0,59}$/;
+const RIGHTS_RESERVED_PATTERN = /^all rights reserved\.?$/i;
+
+// Workflow configuration - initialized once globally
+const FILE_MANAGER = $.NSFileManager.defaultManager;
+
+// Shared helpers and loadLib(), see src/lib/workflow.js
+(0, eval)($.NSString.stringWithContentsOfFileEncodingError(`${$.NSFileManager.defaultManager.currentDirectoryPath.js}/src/lib/workflow.js`, $.NSUTF8StringEncoding, $()).js);
+const { loadLib, getVariable, isDirectory, readFile } = Workflow;
+
+loadLib("cache");
+loadLib("dependencies");
+loadLib("copyright");
+loadLib("identify");
+
+/**
+ * Reads the first file of a package folder whose name matches a pattern
+ * @param {string} dir - Package folder
+ * @param {RegExp} pattern - File name pattern
+ * @returns {string|null} File contents or null
+ */
+function readMatchingFile(dir, pattern) {
+    const names = ObjC.deepUnwrap(FILE_MANAGER.contentsOfDirectoryAtPathError(dir, $())) || [];
+    const name = names.filter(n => pattern.test(n)).sort()[0];
+
+    return name ? readFile(`${dir}/${name}`) : null;
+}
+
+/**
+ * Gets the license texts cached by process_license.js, with the bundled ones as fallback
+ * @returns {Object[]} Licenses with a body
+ */
+function getCachedLicenses() {
+    const cached = Cache.read(CACHE_NAME);
+    const snapshot = Cache.readSnapshot();
+
+    return [...(cached ? cached.data : []), ...(snapshot ? snapshot.licenses : [])].filter(license => license.body);
+}
+
+/**
+ * Lists the ways an SPDX expression can be satisfied, e.g. "MIT AND (BSD-2-Clause OR ISC)"
+ * gives [["MIT", "BSD-2-Clause"], ["MIT", "ISC"]]. Exceptions are left out.
+ * @param {string} expression - SPDX expression
+ * @returns {string[][]} Alternatives, each with every license ID it needs
+ */
+function expressionAlternatives(expression) {
+    const tokens = expression.match(/[()]|[^\s()]+/g) || [];
+    let position = 0;
+
+    const peek = () => (tokens[position] || "").toUpperCase();
+
+    const parsePrimary = () => {
+        const token = tokens[position++] || "";
+
+        if (token === "(") {
+            const alternatives = parseOr();
+            if (tokens[position] === ")") position++;
+            return alternatives;
+        }
+
+        if (peek() === "WITH") position += 2;
+        return token ? [[token]] : [[]];
+    };
+
+    const parseAnd = () => {
+        let alternatives = parsePrimary();
+
+        while (peek() === "AND") {
+            position++;
+            const right = parsePrimary();
+            alternatives = alternatives.flatMap(left => right.map(ids => [...left, ...ids]));
+        }
+
+        return alternatives;
+    };
+
+    const parseOr = () => {
+        let alternatives = parseAnd();
+
+        while (peek() === "OR") {
+            position++;
+            alternatives = alternatives.concat(parseAnd());
+        }
+
+        return alternatives;
+    };
+
+    return parseOr().filter(ids => ids.length > 0);
+}
+
+/**
+ * Finds the cached standard texts for a declared license. With AND every license applies,
+ * with OR the first alternative whose texts are all available is chosen.
+ * @param {string|null} expression - Declared SPDX expression
+ * @param {Object[]} licenses - Cached licenses
+ * @returns {{licenses: Object[], chosen: string|null}|null} Licenses to ship, the alternative chosen when there was a choice, or null
+ */
+function findCachedLicenses(expression, licenses) {
+    if (!expression) return null;
+
+    const alternatives = expressionAlternatives(expression);
+
+    for (const ids of alternatives) {
+        const found = ids.map(id => Identify.findById(licenses, id));
+
+        if (found.every(Boolean)) {
+            return {
+                licenses: found.filter((license, i) => found.indexOf(license) === i),
+                chosen: alternatives.length > 1 ? ids.join(" AND ") : null,
+            };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Splits a license file into the package's copyright statements and the license terms.
+ * Statements are only taken from the header above the terms, so the terms are never cut.
+ * @param {string} text - License file contents
+ * @param {Set<string>} authorCopyrights - Result of Copyright.authorLines()
+ * @returns {{copyrights: string[], terms: string}} Copyright statements and the text without them
+ */
+function splitCopyright(text, authorCopyrights) {
+    const lines = text.replace(/\r\n/g, "\n").split("\n");
+    const copyrights = [];
+    const taken = new Set();
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+
+        if (Copyright.isStatement(line)) {
+            // The license's own copyright, e.g. the FSF's, is part of the terms
+            if (Copyright.isLicenseAuthor(line, authorCopyrights)) continue;
+
+            copyrights.push(line);
+            taken.add(i);
+        } else if (RIGHTS_RESERVED_PATTERN.test(line) && taken.has(i - 1)) {
+            copyrights[copyrights.length - 1] += ` ${line}`;
+            taken.add(i);
+        } else if (line && !TITLE_LINE_PATTERN.test(line)) {
+            // The terms start here
+            break;
+        }
+    }
+
+    const terms = lines
+        .filter((line, i) => !taken.has(i))
+        .join("\n")
+        .replace(/\n{3,}/g, "\n\n")
+        .replace(/^(?:[ \t]*\n)+/, "")
+        .trimEnd();
+
+    return { copyrights, terms };
+}
+
+/**
+ * Collects the notice of every package, sharing identical license terms
+ * @param {Object[]} packages - Packages from Dependencies.readNodeModules()
+ * @param {Object[]} licenses - Cached licenses for packages without a license file
+ * @returns {{entries: Object[], texts: Object[]}} Package entries in name order and the distinct license texts
+ */
+function collectNotices(packages, licenses) {
+    const texts = [];
+    const byTerms = new Map();
+    const seen = new Set();
+    const entries = [];
+    const authorCopyrights = Copyright.authorLines(licenses);
+
+    for (const pkg of [...packages].sort((a, b) => a.name.localeCompare(b.name) || a.version.localeCompare(b.version))) {
+        const id = `${pkg.name}@${pkg.version}`;
+        if (seen.has(id)) continue;
+        seen.add(id);
+
+        const file = readMatchingFile(pkg.path, LICENSE_FILE_PATTERN);
+        const cached = file ? null : findCachedLicenses(pkg.license, licenses);
+        const source = file ? "file" : cached ? "cache" : "missing";
+
+        // Packages without a license file get the standard text of each license they declare
+        const files = file ? [file] : cached ? cached.licenses.map(license => license.body) : [];
+        const split = files.map(body => splitCopyright(body, authorCopyrights));
+        const entryTexts = [];
+
+        // Compare the terms without whitespace differences
+        for (const { terms } of split.filter(part => part.terms)) {
+            const key = terms.replace(/\s+/g, " ");
+            let text = byTerms.get(key);
+
+            if (!text) {
+                text = { index: texts.length + 1, terms, packages: [] };
+                texts.push(text);
+                byTerms.set(key, text);
+            }
+
+            text.packages.push(id);
+            entryTexts.push(text);
+        }
+
+        // Templates only have placeholders, the package.json author is the better holder
+        const holders = source === "file" && split[0].copyrights.length > 0
+            ? split[0].copyrights
+            : pkg.author ? [`Copyright (c) ${pkg.author}`] : [];
+
+        entries.push({
+            id,
+            name: pkg.name,
+            version: pkg.version,
+            license: pkg.license,
+            copyrights: holders,
+            notice: readMatchingFile(pkg.path, NOTICE_FILE_PATTERN),
+            texts: entryTexts,
+            source,
+            standard: cached ? cached.licenses.map(license => license.spdx_id) : [],
+            chosen: cached ? cached.chosen : null,
+        });
+    }
+
+    return { entries, texts };
+}
+
+/**
+ * Describes where the license text of a package came from
+ * @param {Object} entry - Package entry
+ * @returns {string} Note, or empty string for a shipped license file
+ */
+function describeSource(entry) {
+    if (entry.source === "cache" && entry.chosen) {
+        return `No license file shipped. Of the alternatives in ${entry.license}, ${entry.chosen} was chosen and its standard ${entry.standard.length > 1 ? "texts are" : "text is"} used.`;
+    }
+
+    if (entry.source === "cache") {
+        return entry.standard.length > 1
+            ? `No license file shipped, the standard texts of ${entry.standard.join(" and ")} are used since ${entry.license} requires all of them.`
+            : `No license file shipped, the standard ${entry.license} text is used.`;
+    }
+
+    if (entry.source === "missing") {
+        return "No license file shipped and no standard text available. Check the package before shipping.";
+    }
+
+    return "";
+}
+
+/**
+ * Generates the notices as Markdown
+ * @param {string} project - Project name
+ * @param {Object} notices - Result of collectNotices()
+ * @returns {string} Markdown formatted string
+ */
+function generateMarkdown(project, notices) {
+    const sections = [];
+
+    // Title
+    sections.push(`# Third-Party Notices\n\n${project} includes the following third-party software. Their copyright notices and license terms follow.\n`);
+
+    // Packages
+    for (const entry of notices.entries) {
+        const lines = [`## ${entry.name} ${entry.version}\n`, `License: ${entry.license || "Not declared"}\n`];
+
+        if (entry.copyrights.length > 0) {
+            lines.push(`${entry.copyrights.join("  \n")}\n`);
+        }
+
+        if (entry.texts.length > 0) {
+            const links = entry.texts.map(text => `[License ${text.index}](#license-${text.index})`);
+            lines.push(`License ${links.length > 1 ? "texts" : "text"}: ${links.join(", ")}\n`);
+        }
+
+        const note = describeSource(entry);
+        if (note) {
+            lines.push(`_${note}_\n`);
+        }
+
+        if (entry.notice) {
+            lines.push(`NOTICE:\n\n\`\`\`\n${entry.notice.trim()}\n\`\`\`\n`);
+        }
+
+        sections.push(lines.join("\n"));
+    }
+
+    // Distinct license texts
+    sections.push("---\n\n# License Texts\n");
+
+    for (const text of notices.texts) {
+        sections.push(`## License ${text.index}\n\nUsed by ${text.packages.join(", ")}.\n\n\`\`\`\n${text.terms}\n\`\`\`\n`);
+    }
+
+    return sections.join("\n");
+}
+
+/**
+ * Generates the notices as plain text
+ * @param {string} project - Project name
+ * @param {Object} notices - Result of collectNotices()
+ * @returns {string} Plain text
+ */
+function generateText(project, notices) {
+    const rule = "=".repeat(72);
+    const sections = [`THIRD-PARTY NOTICES\n\n${project} includes the following third-party software. Their copyright notices and license terms follow.`];
+
+    // Packages
+    for (const entry of notices.entries) {
+        const lines = [rule, `${entry.name} ${entry.version}`, `License: ${entry.license || "Not declared"}`];
+
+        lines.push(...entry.copyrights);
+
+        if (entry.texts.length > 0) {
+            const names = entry.texts.map(text => `License ${text.index}`);
+            lines.push(`License ${names.length > 1 ? "texts" : "text"}: ${names.join(", ")} below`);
+        }
+
+        const note = describeSource(entry);
+        if (note) {
+            lines.push(note);
+        }
+
+        if (entry.notice) {
+            lines.push("", "NOTICE:", "", entry.notice.trim());
+        }
+
+        sections.push(lines.join("\n"));
+    }
+
+    // Distinct license texts
+    for (const text of notices.texts) {
+        sections.push(`${rule}\nLicense ${text.index} (used by ${text.packages.join(", ")})\n${rule}\n\n${text.terms}`);
+    }
+
+    return `${sections.join("\n\n")}\n`;
+}
+
+/**
+ * Main entry point for Alfred Run Script
+ * @param {string[]} argv - Command line arguments (project folder from a File Action)
+ * @returns {string} Notice document, Markdown or plain text when notices_format is "text"
+ */
+function run(argv) {
+    // Folder from a File Action, falling back to the configured default
+    const dir = ((argv[0] || "").trim() || getVariable("license_dir") || getVariable("default_license_dir")).replace(/\/+$/, "");
+
+    if (!dir || !isDirectory(dir)) {
+        return `# Error\n\nFolder "${dir}" does not exist or is not a directory.`;
+    }
+
+    const packages = Dependencies.readNodeModules(dir, true);
+
+    if (!packages || packages.length === 0) {
+        return `# Error\n\nNo packages found in "${dir}/node_modules". Install the dependencies first.`;
+    }
+
+    const project = getVariable("project_name") || dir.split("/").pop();
+    const notices = collectNotices(packages, getCachedLicenses());
+
+    return getVariable("notices_format") === "text"
+        ? generateText(project, notices)
+        : generateMarkdown(project, notices);
+}
@@ -0,0 +1,28 @@
+ObjC.import("Foundation");
+ObjC.import("stdlib");
+
+// Shared helpers and loadLib(), see src/lib/workflow.js
+(0, eval)($.NSString.stringWithContentsOfFileEncodingError(`${$.NSFileManager.defaultManager.currentDirectoryPath.js}/src/lib/workflow.js`, $.NSUTF8StringEncoding, $()).js);
+const { loadLib, getVariable } = Workflow;
+
+loadLib("usage");
+loadLib("i18n");
+
+/**
+ * Main entry point for Alfred Run Script
+ * @param {string[]} argv - Command line arguments (license key)
+ * @returns {string} Notification text
+ */
+function run(argv) {
+    const licenseKey = argv[0]?.trim();
+
+    if (!licenseKey) {
+        return I18n.t("pin.no_key");
+    }
+
+    const name = getVariable("spdx_id_license") || licenseKey;
+
+    return Usage.togglePin(licenseKey)
+        ? I18n.t("pin.pinned", { name })
+        : I18n.t("pin.unpinned", { name });
+}
@@ -0,0 +1,253 @@
+ObjC.import("Foundation");
+ObjC.import("stdlib");
+
+// Manifests that declare a license, checked in this order
+const MANIFEST_FILENAMES = ["package.json", "composer.json", "Cargo.toml", "pyproject.toml"];
+const GEMSPEC_PATTERN = /\.gemspec$/;
+
+// Workflow configuration - initialized once globally
+const FILE_MANAGER = $.NSFileManager.defaultManager;
+
+// Shared helpers and loadLib(), see src/lib/workflow.js
+(0, eval)($.NSString.stringWithContentsOfFileEncodingError(`${$.NSFileManager.defaultManager.currentDirectoryPath.js}/src/lib/workflow.js`, $.NSUTF8StringEncoding, $()).js);
+const { loadLib, getVariable, isDirectory, readFile, writeFile } = Workflow;
+
+loadLib("diff");
+
+/**
+ * Sets the top-level "license" key of a JSON manifest, editing the text so its formatting is kept
+ * @param {string} text - package.json or composer.json contents
+ * @param {string} spdx - SPDX expression
+ * @returns {{text: string, note: string|null}} Updated contents and why it wasn't changed
+ */
+function updateJson(text, spdx) {
+    let manifest;
+    try {
+        manifest = JSON.parse(text);
+    } catch (e) {
+        return { text, note: "Not valid JSON, left unchanged." };
+    }
+
+    // Only keys indented one level belong to the top-level object
+    const indent = (text.match(/^([ \t]+)"/m) || [, "  "])[1];
+    const value = JSON.stringify(spdx);
+
+    if ("license" in manifest) {
+        const pattern = new RegExp(`^(${indent}"license"\\s*:\\s*)("(?:[^"\\\\]|\\\\.)*"|\\[[^\\]]*\\]|\\{[^}]*\\})`, "m");
+        if (!pattern.test(text)) {
+            return { text, note: "The license field is not in a format that can be edited safely, left unchanged." };
+        }
+
+        return { text: text.replace(pattern, `$1${value}`), note: null };
+    }
+
+    if ("licenses" in manifest) {
+        return { text, note: "Uses the deprecated licenses field. Replace it with a license field by hand." };
+    }
+
+    // Add the field after the version, the name, or at the top
+    for (const key of ["version", "name"]) {
+        const line = new RegExp(`^${indent}"${key}"\\s*:\\s*"(?:[^"\\\\]|\\\\.)*",[ \\t]*$`, "m");
+        const match = text.match(line);
+
+        if (match) {
+            const end = match.index + match[0].length;
+            return { text: `${text.slice(0, end)}\n${indent}"license": ${value},${text.slice(end)}`, note: null };
+        }
+    }
+
+    const open = text.indexOf("{") + 1;
+    const rest = text.slice(open);
+    const separator = /^\s*}/.test(rest) ? "\n" : ",";
+    return { text: `${text.slice(0, open)}\n${indent}"license": ${value}${separator}${rest}`, note: null };
+}
+
+/**
+ * Sets the license key of a TOML table, keeping the rest of the file as is
+ * @param {string} text - TOML contents
+ * @param {string[]} tables - Table names to look for, in order (e.g., ["project", "tool.poetry"])
+ * @param {string} spdx - SPDX expression
+ * @returns {{text: string, note: string|null}} Updated contents and why it wasn't changed
+ */
+function updateToml(text, tables, spdx) {
+    const value = JSON.stringify(spdx);
+
+    for (const table of tables) {
+        const header = new RegExp(`^\\[${table.replace(/\./g, "\\.")}\\][ \\t]*(?:#.*)?$`, "m").exec(text);
+        if (!header) continue;
+
+        const start = header.index + header[0].length;
+        const next = text.slice(start).search(/^\[/m);
+        const end = next === -1 ? text.length : start + next;
+        const body = text.slice(start, end);
+
+        // Dotted keys such as Cargo's license.workspace = true take the license from elsewhere
+        const dotted = body.match(/^license\.([\w-]+)\s*=.*$/m);
+        if (dotted) {
+            return { text, note: `[${table}] sets \`${dotted[0].trim()}\`, left unchanged.` };
+        }
+
+        // license = "MIT" and the older license = { text = "MIT" }
+        const existing = body.match(/^(license\s*=\s*)(.*)$/m);
+        if (existing) {
+            const current = existing[2].trim();
+
+            if (/^\{.*\bfile\s*=/.test(current)) {
+                return { text, note: `[${table}] points license at a file, left unchanged.` };
+            }
+
+            if (/^\{/.test(current) && !/\btext\s*=/.test(current)) {
+                return { text, note: `[${table}] sets \`license = ${current}\`, left unchanged.` };
+            }
+
+            const replacement = /^\{/.test(current)
+                ? current.replace(/(\btext\s*=\s*)("[^"]*"|'[^']*')/, `$1${value}`)
+                : value;
+
+            const updated = body.replace(existing[0], `${existing[1]}${replacement}`);
+            return { text: text.slice(0, start) + updated + text.slice(end), note: null };
+        }
+
+        // Add the key after the version, the name, or right below the header
+        const anchor = body.match(/^version\s*=.*$/m) || body.match(/^name\s*=.*$/m);
+        const at = anchor ? start + anchor.index + anchor[0].length : start;
+
+        return { text: `${text.slice(0, at)}\nlicense = ${value}${text.slice(at)}`, note: null };
+    }
+
+    return { text, note: `No [${tables.join("] or [")}] table found, left unchanged.` };
+}
+
+/**
+ * Sets the license of a gemspec, keeping its variable name and quote style
+ * @param {string} text - Gemspec contents
+ * @param {string} spdx - SPDX expression
+ * @returns {{text: string, note: string|null}} Updated contents and why it wasn't changed
+ */
+function updateGemspec(text, spdx) {
+    // RubyGems takes one license per entry, optionally WITH an exception, so OR expressions become
+    // a licenses list. It has no way to say that all of several licenses apply.
+    if (/\sAND\s/i.test(spdx)) {
+        return { text, note: `RubyGems can't express ${spdx}, its licenses list means any one of them applies. Left unchanged, set it by hand.` };
+    }
+
+    const ids = spdx.replace(/[()]/g, "").split(/\s+OR\s+/i).map(id => id.trim());
+    const single = text.match(/^(\s*\w+\.license\s*=\s*)(["'])[^"']*\2/m);
+    const list = text.match(/^(\s*\w+\.licenses\s*=\s*)\[[^\]]*\]/m);
+    const quote = (single && single[2]) || (text.match(/\.version\s*=\s*(["'])/) || [, '"'])[1];
+    const quoted = ids.map(id => `${quote}${id}${quote}`);
+
+    if (single && ids.length === 1) {
+        return { text: text.replace(single[0], `${single[1]}${quoted[0]}`), note: null };
+    }
+
+    if (single) {
+        return { text: text.replace(single[0], `${single[1].replace(/\.license\b/, ".licenses")}[${quoted.join(", ")}]`), note: null };
+    }
+
+    if (list) {
+        return { text: text.replace(list[0], `${list[1]}[${quoted.join(", ")}]`), note: null };
+    }
+
+    // Add the license after the version, with the same indentation and block variable
+    const version = text.match(/^(\s*)(\w+)\.version\s*=.*$/m);
+    if (!version) {
+        return { text, note: "No spec.version line to add the license after, left unchanged." };
+    }
+
+    const line = ids.length === 1
+        ? `${version[1]}${version[2]}.license = ${quoted[0]}`
+        : `${version[1]}${version[2]}.licenses = [${quoted.join(", ")}]`;
+    const end = version.index + version[0].length;
+
+    return { text: `${text.slice(0, end)}\n${line}${text.slice(end)}`, note: null };
+}
+
+/**
+ * Sets the license in one manifest
+ * @param {string} fileName - Manifest file name
+ * @param {string} text - Manifest contents
+ * @param {string} spdx - SPDX expression
+ * @returns {{text: string, note: string|null}} Updated contents and why it wasn't changed
+ */
+function updateManifest(fileName, text, spdx) {
+    if (fileName.endsWith(".json")) return updateJson(text, spdx);
+    if (fileName === "Cargo.toml") return updateToml(text, ["package", "workspace.package"], spdx);
+    if (fileName === "pyproject.toml") return updateToml(text, ["project", "tool.poetry"], spdx);
+
+    return updateGemspec(text, spdx);
+}
+
+/**
+ * Finds the manifests in a folder
+ * @param {string} dir - Project folder
+ * @returns {string[]} Manifest file names
+ */
+function findManifests(dir) {
+    const names = ObjC.deepUnwrap(FILE_MANAGER.contentsOfDirectoryAtPathError(dir, $())) || [];
+
+    return [
+        ...MANIFEST_FILENAMES.filter(name => names.includes(name)),
+        ...names.filter(name => GEMSPEC_PATTERN.test(name)).sort(),
+    ];
+}
+
+/**
+ * Main entry point for Alfred Run Script
+ * @param {string[]} argv - Command line arguments (license key)
+ * @returns {string} Markdown report for the Text Viewer
+ */
+function run(argv) {
+    const spdx = getVariable("spdx_id_license");
+
+    if (!spdx) {
+        return "# Error\n\nNo SPDX identifier found in workflow variables.";
+    }
+
+    if (spdx === "NOASSERTION") {
+        return "# Error\n\nThis license has no SPDX identifier to put in a manifest.";
+    }
+
+    // Target folder from a File Action, falling back to the configured default
+    const dir = (getVariable("license_dir") || getVariable("default_license_dir")).replace(/\/+$/, "");
+
+    if (!dir || !isDirectory(dir)) {
+        return `# Error\n\nTarget folder "${dir}" does not exist or is not a directory.`;
+    }
+
+    const manifests = findManifests(dir);
+
+    if (manifests.length === 0) {
+        return `# Error\n\nNo package.json, composer.json, Cargo.toml, pyproject.toml or .gemspec found in "${dir}".`;
+    }
+
+    // Manifests are only written once confirmed, until then the report is a dry run
+    const write = getVariable("write_manifests") === "1";
+    const sections = [`# ${spdx} in ${dir.split("/").pop()} manifests\n`];
+    let pending = 0;
+
+    for (const fileName of manifests) {
+        const current = readFile(`${dir}/${fileName}`) || "";
+        const { text, note } = updateManifest(fileName, current, spdx);
+        const diff = Diff.formatDiff(fileName, Diff.diffLines(current, text));
+
+        if (note) {
+            sections.push(`⚠️ **${fileName}**: ${note}\n`);
+        } else if (text === current) {
+            sections.push(`✅ **${fileName}** already says ${spdx}.\n`);
+        } else if (!write) {
+            pending++;
+            sections.push(`📝 **${fileName}** would be updated.\n\n${diff}`);
+        } else if (!writeFile(`${dir}/${fileName}`, text)) {
+            sections.push(`❌ **${fileName}** could not be written.\n`);
+        } else {
+            sections.push(`✅ **${fileName}** updated.\n\n${diff}`);
+        }
+    }
+
+    if (pending > 0) {
+        sections.push(`Nothing was written. Hold ⌃⇧⌘ to update ${pending === 1 ? "this manifest" : `these ${pending} manifests`}.`);
+    }
+
+    return sections.join("\n");
+}
@@ -0,0 +1,208 @@
+ObjC.import("Foundation");
+ObjC.import("stdlib");
+
+const LICENSE_FILENAMES = ["LICENSE", "LICENSE.md", "COPYING"];
+const EXISTING_LICENSE_FILENAMES = [
+    "LICENSE",
+    "LICENSE.md",
+    "LICENSE.txt",
+    "LICENCE",
+    "LICENCE.md",
+    "COPYING",
+    "COPYING.md",
+    "COPYING.txt",
+];
+const NOTICE_FILENAME = "NOTICE";
+
+// Workflow configuration - initialized once globally
+const FILE_MANAGER = $.NSFileManager.defaultManager;
+
+// Shared helpers and loadLib(), see src/lib/workflow.js
+(0, eval)($.NSString.stringWithContentsOfFileEncodingError(`${$.NSFileManager.defaultManager.currentDirectoryPath.js}/src/lib/workflow.js`, $.NSUTF8StringEncoding, $()).js);
+const { loadLib, getVariable, isDirectory, readFile, writeFile } = Workflow;
+
+loadLib("diff");
+loadLib("result");
+
+/**
+ * Finds license files already present in a directory
+ * @param {string} dir - Target directory
+ * @returns {string[]} Existing license file names
+ */
+function findExistingLicenses(dir) {
+    return EXISTING_LICENSE_FILENAMES.filter(name => FILE_MANAGER.fileExistsAtPath(`${dir}/${name}`));
+}
+
+/**
+ * Moves a file to the Trash so it can still be restored
+ * @param {string} path - File path
+ * @returns {boolean} True if the file was moved
+ */
+function moveToTrash(path) {
+    return FILE_MANAGER.trashItemAtURLResultingItemURLError($.NSURL.fileURLWithPath(path), $(), $());
+}
+
+/**
+ * Builds the NOTICE file contents for Apache-2.0 projects
+ * @param {string} project - Project name
+ * @param {string} author - Copyright holder
+ * @param {string} year - Copyright year or year range
+ * @returns {string} NOTICE text
+ */
+function makeNotice(project, author, year) {
+    return `${project}\nCopyright ${year} ${author || "[name of copyright owner]"}\n`;
+}
+
+/**
+ * Writes a file unless it exists with different contents and overwrite is not confirmed
+ * @param {string} path - File path
+ * @param {string} fileName - File name shown in the report
+ * @param {string} text - Contents to write
+ * @param {boolean} overwrite - True if overwriting was confirmed
+ * @returns {string} Markdown report section
+ */
+function writeWithCheck(path, fileName, text, overwrite) {
+    const current = readFile(path);
+
+    if (current !== null && current === text) {
+        return `✅ **${fileName}** is already up to date.\n`;
+    }
+
+    if (current !== null && !overwrite) {
+        return `⚠️ **${fileName}** already exists and was not changed.\n\n${Diff.formatDiff(fileName, Diff.diffLines(current, text))}`;
+    }
+
+    if (!writeFile(path, text)) {
+        return `❌ **${fileName}** could not be written.\n`;
+    }
+
+    return current === null
+        ? `✅ **${fileName}** created.\n`
+        : `✅ **${fileName}** overwritten.\n\n${Diff.formatDiff(fileName, Diff.diffLines(current, text))}`;
+}
+
+/**
+ * Parses the license_files variable set by process_license.js for SPDX expressions
+ * @param {string} value - JSON array of {name, body}
+ * @returns {Object[]|null} Files to write, or null if the value is not such an array
+ */
+function parseLicenseFiles(value) {
+    let files;
+
+    try {
+        files = JSON.parse(value);
+    } catch (e) {
+        return null;
+    }
+
+    const valid = Array.isArray(files) && files.every(file =>
+        file && typeof file.name === "string" && /^[^/]+$/.test(file.name) && typeof file.body === "string"
+    );
+
+    return valid ? files : null;
+}
+
+/**
+ * Main entry point for Alfred Run Script
+ * @param {string[]} argv - Command line arguments (processed license body)
+ * @returns {string} Markdown report for the Text Viewer
+ */
+function run(argv) {
+    const body = argv[0] || "";
+    const result = Result.read();
+
+    // Never write an error in place of the license
+    if (result.status === "error") {
+        return `# Error\n\n${result.error}${result.hint ? `\n\n${result.hint}` : ""}`;
+    }
+
+    if (!body) {
+        return "# Error\n\nNo license body provided.";
+    }
+
+    // Target folder from a File Action, falling back to the configured default
+    const dir = (getVariable("license_dir") || getVariable("default_license_dir")).replace(/\/+$/, "");
+
+    if (!dir || !isDirectory(dir)) {
+        return `# Error\n\nTarget folder "${dir}" does not exist or is not a directory.`;
+    }
+
+    const fileName = getVariable("license_filename") || LICENSE_FILENAMES[0];
+
+    if (!LICENSE_FILENAMES.includes(fileName)) {
+        return `# Error\n\nUnsupported file name "${fileName}". Use one of: ${LICENSE_FILENAMES.join(", ")}.`;
+    }
+
+    const overwrite = getVariable("overwrite_license") === "1";
+    const licenseKey = getVariable("key_license");
+
+    // SPDX expressions can be saved as one LICENSE-<ID> file per license
+    const files = getVariable("license_files");
+    if (getVariable("license_layout") === "separate" && files) {
+        const licenseFiles = parseLicenseFiles(files);
+
+        if (!licenseFiles) {
+            return "# Error\n\nThe license files of the expression could not be read. Choose the expression from the list again.";
+        }
+
+        const sections = [`# ${getVariable("license_expression")} in ${dir.split("/").pop()}\n`];
+
+        for (const file of licenseFiles) {
+            sections.push(writeWithCheck(`${dir}/${file.name}`, file.name, file.body, overwrite));
+        }
+
+        if (!overwrite && sections.some(section => section.startsWith("⚠️"))) {
+            sections.push("Hold ⌃⌘ to overwrite.");
+        }
+
+        return sections.join("\n");
+    }
+
+    const sections = [`# ${fileName} in ${dir.split("/").pop()}\n`];
+
+    // Other license files would be left next to the new one
+    const others = findExistingLicenses(dir).filter(name => name !== fileName);
+    if (others.length > 0 && !overwrite) {
+        const diffs = others.map(name => Diff.formatDiff(name, Diff.diffLines(readFile(`${dir}/${name}`) || "", body)));
+        sections.push(`⚠️ Found existing license files: ${others.join(", ")}. Nothing was written.\n`);
+        sections.push(...diffs);
+        sections.push(`Hold ⌃⌘ to write ${fileName} and move ${others.join(", ")} to the Trash.`);
+        return sections.join("\n");
+    }
+
+    const written = writeWithCheck(`${dir}/${fileName}`, fileName, body, overwrite);
+    sections.push(written);
+
+    // Overwriting replaces the other license files too, so the folder keeps a single license
+    if (others.length > 0 && !written.startsWith("❌")) {
+        const kept = others.filter(name => !moveToTrash(`${dir}/${name}`));
+        const trashed = others.filter(name => !kept.includes(name));
+
+        if (trashed.length > 0) {
+            sections.push(`🗑️ Moved to the Trash: ${trashed.join(", ")}.\n`);
+        }
+
+        if (kept.length > 0) {
+            sections.push(`❌ Could not move to the Trash: ${kept.join(", ")}. Delete by hand so ${fileName} is the only license file.\n`);
+        }
+    }
+
+    // Apache-2.0 projects usually ship a NOTICE file next to the license
+    if (licenseKey === "apache-2.0" && getVariable("write_notice") === "1") {
+        const project = getVariable("project_name") || dir.split("/").pop();
+        const year = getVariable("license_year") || new Date().getFullYear().toString();
+        const notice = makeNotice(project, getVariable("license_holders"), year);
+        sections.push(writeWithCheck(`${dir}/${NOTICE_FILENAME}`, NOTICE_FILENAME, notice, overwrite));
+    }
+
+    if (!overwrite && sections.some(section => section.startsWith("⚠️"))) {
+        sections.push("Hold ⌃⌘ to overwrite.");
+    }
+
+    const unfilled = getVariable("unfilled_placeholders");
+    if (unfilled) {
+        sections.push(`⚠️ The license still contains unfilled placeholders: ${unfilled}\n`);
+    }
+
+    return sections.join("\n");
+}